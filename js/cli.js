@@ -0,0 +1,204 @@
+/**
+ * @overview command-line interface for building palettes from theme config files.
+ * 
+ * ```text
+ * adaptive-colors build <config.json> [--format <format>]... [--out <dir>] [--lockfile <path>]
+ * adaptive-colors build <config.json> --check [--lockfile <path>]
+ * ```
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs'
+import { basename, dirname, extname, join } from 'node:path'
+import { parseArgs } from 'node:util'
+
+import { Theme } from './theme.js'
+import { to_css } from './export/css.js'
+import { to_dtcg, to_style_dictionary, to_tailwind } from './export/tokens.js'
+
+const USAGE = `\
+usage:
+  adaptive-colors build <config.json> [--format <format>]... [--out <dir>] [--lockfile <path>]
+  adaptive-colors build <config.json> --check [--lockfile <path>]
+
+options:
+  -f, --format <format>  export format (repeatable): css, dtcg, style-dictionary, tailwind, json. default: css
+  -o, --out <dir>        directory to write exports to. default: the config's directory
+  -l, --lockfile <path>  lockfile of generated swatches. default: <config>.lock.json
+  -c, --check            don't write anything; fail if generated swatches differ from the lockfile
+  -h, --help             show this message`
+
+/**
+ * exporters for each export format,
+ *  producing the contents of a file given a theme and the mode to export (if any)
+ * 
+ * @type {Record<string, { ext: string, per_mode: boolean, export: (theme: Theme, mode?: string) => string }>}
+ */
+const FORMATS = {
+  'css': {
+    ext: '.css',
+    per_mode: false,
+    export: theme => to_css(theme),
+  },
+  'dtcg': {
+    ext: '.tokens.json',
+    per_mode: true,
+    export: (theme, mode) => json(to_dtcg(theme, { mode })),
+  },
+  'style-dictionary': {
+    ext: '.style-dictionary.json',
+    per_mode: true,
+    export: (theme, mode) => json(to_style_dictionary(theme, { mode })),
+  },
+  'tailwind': {
+    ext: '.tailwind.json',
+    per_mode: true,
+    export: (theme, mode) => json(to_tailwind(theme, { mode })),
+  },
+  'json': {
+    ext: '.palette.json',
+    per_mode: true,
+    export: (theme, mode) => json(mode === undefined ? theme.palette() : theme.mode_palette(mode)),
+  },
+}
+
+/** @type {(o: any) => string} */
+const json = o => JSON.stringify(o, null, 2) + '\n'
+
+/**
+ * the swatches recorded in a lockfile: every mode's swatches as hex values,
+ *  keyed by mode name (or `default` for themes without modes)
+ * 
+ * @param {Theme} theme 
+ * @returns {{ palettes: Record<string, Record<string, string>> }}
+ */
+function lock(theme) {
+  const palettes = theme.modes === null
+    ? { default: theme.palette('hex').color_pairs }
+    : Object.fromEntries(Object.keys(theme.modes).map(mode => [mode, theme.mode_palette(mode, 'hex').color_pairs]))
+  return { palettes }
+}
+
+/**
+ * lists the differences between two lockfiles
+ * 
+ * @param {{ palettes: Record<string, Record<string, string>> }} expected 
+ * @param {{ palettes: Record<string, Record<string, string>> }} actual 
+ * @returns {string[]}
+ */
+function diff_locks(expected, actual) {
+  const modes = new Set([...Object.keys(expected.palettes ?? {}), ...Object.keys(actual.palettes)])
+  return [...modes].flatMap(mode => {
+    const e = expected.palettes?.[mode]
+    const a = actual.palettes[mode]
+    if (e === undefined) { return [`${mode}: mode added`] }
+    if (a === undefined) { return [`${mode}: mode removed`] }
+    const names = new Set([...Object.keys(e), ...Object.keys(a)])
+    return [...names]
+      .filter(name => e[name] !== a[name])
+      .map(name => `${mode}.${name}: ${e[name] ?? '<none>'} -> ${a[name] ?? '<none>'}`)
+  })
+}
+
+/**
+ * runs the cli with the given arguments
+ * 
+ * @param {string[]} args 
+ * @param {{ stdout: (s: string) => void, stderr: (s: string) => void }} [io]
+ * @returns {number} exit code
+ */
+export function run(args, io = { stdout: s => process.stdout.write(s + '\n'), stderr: s => process.stderr.write(s + '\n') }) {
+  let parsed
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        format:   { type: 'string', short: 'f', multiple: true },
+        out:      { type: 'string', short: 'o' },
+        lockfile: { type: 'string', short: 'l' },
+        check:    { type: 'boolean', short: 'c', default: false },
+        help:     { type: 'boolean', short: 'h', default: false },
+      },
+    })
+  } catch (e) {
+    io.stderr(`${e.message}\n\n${USAGE}`)
+    return 2
+  }
+  const { values: opts, positionals: [command, config_path, ...rest] } = parsed
+
+  if (opts.help) { io.stdout(USAGE); return 0 }
+  if (command !== 'build' || !config_path || rest.length) {
+    io.stderr(USAGE)
+    return 2
+  }
+
+  const formats = opts.format ?? ['css']
+  const unknown = formats.filter(f => !FORMATS.hasOwnProperty(f))
+  if (unknown.length) {
+    io.stderr(`unsupported format(s): ${unknown.join(', ')}. supported formats: ${Object.keys(FORMATS).join(', ')}`)
+    return 2
+  }
+
+  const name = basename(config_path, extname(config_path))
+  const lockfile = opts.lockfile ?? join(dirname(config_path), `${name}.lock.json`)
+
+  let theme, actual
+  try {
+    theme = Theme.from_json(readFileSync(config_path, 'utf8'))
+    actual = lock(theme)
+  } catch (e) {
+    io.stderr(`${config_path}: ${e.message}`)
+    return 1
+  }
+
+  if (opts.check) {
+    if (!existsSync(lockfile)) {
+      io.stderr(`${lockfile}: lockfile not found`)
+      return 1
+    }
+    let expected
+    try {
+      expected = JSON.parse(readFileSync(lockfile, 'utf8'))
+    } catch (e) {
+      io.stderr(`${lockfile}: ${e.message}`)
+      return 1
+    }
+    const diffs = diff_locks(expected, actual)
+    if (diffs.length) {
+      io.stderr(`generated swatches differ from ${lockfile}:\n${diffs.map(d => `  ${d}`).join('\n')}`)
+      return 1
+    }
+    io.stdout(`${lockfile}: up to date`)
+    return 0
+  }
+
+  const out = opts.out ?? dirname(config_path)
+  /** @type {[path: string, contents: string][]} */
+  let files
+  try {
+    files = formats.flatMap(f => {
+      const { ext, per_mode, export: exp } = FORMATS[f]
+      return per_mode && theme.modes !== null
+        ? Object.keys(theme.modes).map(mode => /**@type{[string, string]}*/([join(out, `${name}.${mode}${ext}`), exp(theme, mode)]))
+        : [/**@type{[string, string]}*/([join(out, `${name}${ext}`), exp(theme)])]
+    })
+  } catch (e) {
+    io.stderr(`${config_path}: ${e.message}`)
+    return 1
+  }
+
+  // the path being written, for reporting errors
+  let path = out
+  try {
+    mkdirSync(out, { recursive: true })
+    for (const [p, contents] of [...files, [lockfile, json(actual)]]) {
+      path = p
+      writeFileSync(p, contents)
+      io.stdout(`wrote ${p}`)
+    }
+  } catch (e) {
+    io.stderr(`${path}: ${e.message}`)
+    return 1
+  }
+  return 0
+}
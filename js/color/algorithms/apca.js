@@ -0,0 +1,12 @@
+/**
+ * screen luminance (Y) of srgb values as APCA computes it (as apca-w3's `sRGBtoY`),
+ *  extended to values outside of [0, 255] (i.e. colors outside of the srgb gamut) by mirroring its curve around 0
+ * 
+ * @param {[r255: number, g255: number, b255: number]} rgb 
+ * @returns {number}
+ */
+export function apca_luminance([r, g, b]) {
+  /** @type {(v: number) => number} */
+  const linearize = v => Math.sign(v) * Math.abs(v / 255) ** 2.4
+  return 0.2126729 * linearize(r) + 0.7151522 * linearize(g) + 0.0721750 * linearize(b)
+}
@@ -0,0 +1,90 @@
+/*
+Bridge-PCA contrast, adapted from bridge-pca 0.1.6 (G-4g constants).
+Copyright © 2019-2021 by Andrew Somers. Licensed under the W3C Software and Document License.
+https://github.com/Myndex/bridge-pca
+*/
+
+import { apca_luminance } from './apca.js'
+
+/**
+ * Bridge-PCA lightness contrast (Lc) between text and background luminances.
+ * positive for dark text on a light background, negative for the reverse.
+ * 
+ * @param {number} txt_y -- text luminance, in [0, 1]
+ * @param {number} bg_y -- background luminance, in [0, 1]
+ * @returns {number}
+ */
+function bpca_lc(txt_y, bg_y) {
+  if (Number.isNaN(txt_y) || Number.isNaN(bg_y) || Math.min(txt_y, bg_y) < 0 || Math.max(txt_y, bg_y) > 1.1) { return 0 }
+
+  const norm_bg = 0.56, norm_txt = 0.57, rev_txt = 0.62, rev_bg = 0.65
+  const blk_thrs = 0.022, blk_clmp = 1.414
+  const scale = 1.14
+  const lo_offset = 0.027
+  const bridge_wob_fact = 0.1414, bridge_wob_pivot = 0.84
+  const lo_clip = 0.1
+  const delta_y_min = 0.0005
+
+  // soft clamp near-black luminances
+  const soft_clamp = y => y > blk_thrs ? y : y + (blk_thrs - y) ** blk_clmp
+  txt_y = soft_clamp(txt_y)
+  bg_y = soft_clamp(bg_y)
+
+  if (Math.abs(bg_y - txt_y) < delta_y_min) { return 0 }
+
+  if (bg_y > txt_y) {
+    // normal polarity: dark text on light background
+    const sapc = (bg_y ** norm_bg - txt_y ** norm_txt) * scale
+    return (sapc < lo_clip ? 0 : sapc - lo_offset) * 100
+  }
+  // reverse polarity: light text on dark background.
+  // the bridge offset aligns with wcag 2.x's math
+  const sapc = (bg_y ** rev_bg - txt_y ** rev_txt) * scale
+  const bridge = Math.max(0, txt_y / bridge_wob_pivot - 1) * bridge_wob_fact
+  return (sapc > -lo_clip ? 0 : sapc + lo_offset + bridge) * 100
+}
+
+/**
+ * converts a Bridge-PCA Lc value into a wcag 2.x-style contrast ratio
+ * 
+ * @param {number} lc 
+ * @param {number} txt_y 
+ * @param {number} bg_y 
+ * @returns {number}
+ */
+function bridge_ratio(lc, txt_y, bg_y) {
+  const max_y = Math.max(txt_y, bg_y)
+
+  const offset_a = 0.2693, pre_scale = -0.0561, power_shift = 4.537
+  const main_factor = 1.113946
+  const lo_thresh = 0.3, lo_exp = 0.48, pre_emph = 0.42, post_de = 0.6594
+  const hi_trim = 0.0785, lo_trim = 0.0815, trim_thresh = 0.506
+
+  const add_trim = max_y > trim_thresh
+    ? lo_trim * (1 - max_y) / (1 - trim_thresh) + hi_trim
+    : lo_trim + hi_trim
+
+  const c = Math.max(0, Math.abs(lc * 0.01))
+  const ratio = ((c + pre_scale) ** power_shift + offset_a) * main_factor * c + add_trim
+
+  // adjust ratios under 3:1, and clean up near 0
+  return ratio > lo_thresh ? 10 * ratio
+    : c < 0.06 ? 0
+    : 10 * ratio - ((lo_thresh - ratio + pre_emph) ** lo_exp - post_de)
+}
+
+/**
+ * Bridge-PCA contrast: APCA-based contrast, expressed as a wcag 2.x-compatible (unsigned) contrast ratio.
+ * as in wcag 2.x, ratios are at least 1 (for identical colors, i.e. the algorithm's `neutral_ratio`),
+ *  where bridge-pca's conversion drops to 0 for contrasts too low to measure
+ * 
+ * @param {[r255: number, g255: number, b255: number]} color 
+ * @param {[r255: number, g255: number, b255: number]} base 
+ * @returns {number}
+ */
+export function bpca_contrast(color, base) {
+  const [txt_y, bg_y] = [apca_luminance(color), apca_luminance(base)]
+  return Math.max(1, bridge_ratio(bpca_lc(txt_y, bg_y), txt_y, bg_y))
+}
+
+export { apca_luminance as bpca_luminance }
@@ -0,0 +1,23 @@
+import { chroma, extended_rgb, to_gamut, to_srgb_gamut } from './chroma.js'
+
+/**
+ * composites a (possibly translucent) color over an opaque background,
+ *  returning the rgb values of the color as it is seen.
+ * compositing is done on gamma-encoded srgb values, as browsers do,
+ *  after mapping colors outside of `gamut` into it (as they're emitted, see `output_gamut`).
+ * for gamuts wider than srgb, values are extended srgb values, and may be outside of [0, 255]
+ * 
+ * @param {string | import('chroma-js').Color} color 
+ * @param {[r255: number, g255: number, b255: number]} bg_rgb_arr 
+ * @param {import('./gamut.js').Gamut} [gamut='srgb'] 
+ * @returns {[r255: number, g255: number, b255: number]}
+ */
+export function composite(color, bg_rgb_arr, gamut = 'srgb') {
+  const c = chroma(color)
+  const a = c.alpha()
+  const rgb = gamut === 'srgb'
+    ? to_srgb_gamut(c).rgb()
+    : extended_rgb(c.clipped() ? to_gamut(c, gamut) : c)
+  if (a >= 1) { return rgb }
+  return /**@type{[number, number, number]}*/(rgb.map((v, i) => Math.round(a * v + (1 - a) * bg_rgb_arr[i])))
+}
@@ -0,0 +1,171 @@
+import { round } from '../math/math.js'
+import { contrast, contrast_algorithm } from './contrast.js'
+import { fmt_color } from './fmt.js'
+import { chroma, to } from './chroma.js'
+import { composite } from './alpha.js'
+import { output_gamut } from './space.js'
+
+/**
+ * @typedef {'AAA' | 'AA' | 'AA large' | 'fail'} Wcag2Level
+ * @typedef {'fluent' | 'body' | 'content' | 'large' | 'spot' | 'non-text' | 'fail'} ApcaLevel
+ */
+
+/**
+ * minimum contrast ratio for each wcag 2.x conformance level, from strictest to loosest
+ * 
+ * @see https://www.w3.org/TR/WCAG21/#contrast-minimum
+ * @type {[Wcag2Level, number][]}
+ */
+export const WCAG2_LEVELS = [
+  ['AAA', 7],
+  ['AA', 4.5],
+  ['AA large', 3],
+]
+
+/**
+ * minimum APCA Lc for each use case, from strictest to loosest
+ * 
+ * @see https://git.apcacontrast.com/documentation/APCA_in_a_Nutshell
+ * @type {[ApcaLevel, number][]}
+ */
+export const APCA_LEVELS = [
+  ['fluent', 90],   // preferred for body text
+  ['body', 75],     // minimum for body text
+  ['content', 60],  // minimum for content text that isn't body text
+  ['large', 45],    // large or heavy text, e.g. headlines
+  ['spot', 30],     // spot-readable text, e.g. placeholders and disabled text
+  ['non-text', 15], // minimum for non-text elements
+]
+
+/**
+ * @template {string} L
+ * @param {[L, number][]} levels 
+ * @returns {(c: number) => L | 'fail'}
+ */
+const level = levels => c => (levels.find(([_, min]) => Math.abs(c) >= min) ?? ['fail'])[0]
+
+/** @type {(c: number) => Wcag2Level} */
+export const wcag2_level = level(WCAG2_LEVELS)
+/** @type {(c: number) => ApcaLevel} */
+export const apca_level = level(APCA_LEVELS)
+
+/**
+ * @typedef {{
+ *  color: string
+ *  name: string
+ *  value: string
+ *  target: number
+ *  achieved: { wcag2: number, wcag3: number } & Record<import('./contrast.js').ContrastAlgorithm, number>
+ *  difference: number
+ *  suggestion: number | null
+ *  levels: { wcag2: Wcag2Level, apca: ApcaLevel }
+ *  flags: { missed_target: boolean, unreachable: boolean, below_wcag2: boolean, below_apca: boolean }
+ * }} AuditSwatch
+ */
+
+/**
+ * @typedef {{
+ *  mode: string | null
+ *  surface: string | null
+ *  algorithm: import('./contrast.js').ContrastAlgorithm
+ *  background: string
+ *  thresholds: { wcag2: number, apca: number }
+ *  tolerance: number
+ *  swatches: AuditSwatch[]
+ *  summary: { total: number, missed_target: number, unreachable: number, below_wcag2: number, below_apca: number }
+ * }} AuditReport
+ */
+
+/**
+ * audits generated swatches against their background,
+ *  reporting for each swatch the contrast achieved (under both wcag2 and APCA, as well as the theme's algorithm)
+ *  and how far it is from its target ratio.
+ * 
+ * swatches are flagged if they missed their target by more than `tolerance`
+ *  (by default, the contrast algorithm's tolerance),
+ *  if their target can't be reached with their color and the background at all
+ *  (suggesting the nearest contrast that can be),
+ *  or if they fall below the given wcag2 ratio / APCA Lc thresholds.
+ * contrast is measured on swatches as they're emitted in `output_format` (see `output_gamut`)
+ * 
+ * @param {import('../theme.js').ThemeSwatches} swatches 
+ * @param {number} base_v 
+ * @param {import('./contrast.js').ContrastAlgorithm} algorithm 
+ * @param {{
+ *  mode?: string | null
+ *  surface?: string | null
+ *  output_format?: import('./space.js').OutputColorSpace
+ *  tolerance?: number
+ *  thresholds?: { wcag2?: number, apca?: number }
+ * }} [opts] 
+ * @returns {AuditReport}
+ */
+export function audit_swatches(swatches, base_v, algorithm, {
+  mode = null,
+  surface = null,
+  output_format = 'hex',
+  tolerance = contrast_algorithm(algorithm).tolerance,
+  thresholds: { wcag2 = 4.5, apca = 60 } = {},
+} = {}) {
+  const bg_rgb_arr = chroma_rgb(swatches.background)
+  const gamut = output_gamut(output_format)
+
+  /** @type {AuditSwatch[]} */
+  const audited = swatches.colors.flatMap(({ name: color, values }) => values.map(({ name, contrast: target, color: c, reachable, suggestion }) => {
+    const rgb = composite(c, bg_rgb_arr, gamut)
+    /** @type {(algorithm: import('./contrast.js').ContrastAlgorithm) => number} */
+    const achieved_with = algorithm => round(contrast(rgb, bg_rgb_arr, base_v, algorithm), 2)
+    const achieved = {
+      wcag2: achieved_with('wcag2'),
+      wcag3: achieved_with('wcag3'),
+      [algorithm]: achieved_with(algorithm),
+    }
+    const difference = round(achieved[algorithm] - target, 2)
+    return {
+      color,
+      name,
+      value: fmt_color(c, output_format),
+      target,
+      achieved,
+      difference,
+      suggestion: suggestion ?? null,
+      levels: { wcag2: wcag2_level(achieved.wcag2), apca: apca_level(achieved.wcag3) },
+      flags: {
+        missed_target: Math.abs(difference) > tolerance,
+        unreachable: reachable === false,
+        below_wcag2: Math.abs(achieved.wcag2) < wcag2,
+        below_apca: Math.abs(achieved.wcag3) < apca,
+      },
+    }
+  }))
+
+  /** @type {(flag: keyof AuditSwatch['flags']) => number} */
+  const count = flag => audited.filter(s => s.flags[flag]).length
+
+  return {
+    mode,
+    surface,
+    algorithm,
+    background: fmt_color(swatches.background, output_format),
+    thresholds: { wcag2, apca },
+    tolerance,
+    swatches: audited,
+    summary: {
+      total: audited.length,
+      missed_target: count('missed_target'),
+      unreachable: count('unreachable'),
+      below_wcag2: count('below_wcag2'),
+      below_apca: count('below_apca'),
+    },
+  }
+}
+
+/**
+ * rgb values of a color as they would be output, i.e. rounded to integers
+ * 
+ * @param {string | import('chroma-js').Color} color 
+ * @returns {[r: number, g: number, b: number]}
+ */
+function chroma_rgb(color) {
+  return to.rgb(typeof color === 'string' ? chroma(color) : color)
+}
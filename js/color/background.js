@@ -12,8 +12,9 @@ governing permissions and limitations under the License.
 */
 
 import { pipe } from '../utils/fn.js'
-import { map, push, sort_numeric_by, take, uniq_by } from '../utils/iter.js'
+import { map, push, range, sort_numeric_by, take, uniq_by } from '../utils/iter.js'
 import { to, chroma } from './chroma.js'
+import { contrast, is_darkmode } from './contrast.js'
 import { fmt_color } from './fmt.js'
 import { color_scale } from './scale.js'
 
@@ -31,7 +32,11 @@ export function create_background_color_scale(color, output_format) {
   // create massive scale
   const bg_color_scale = color_scale(1000, color.key_colors, color.color_space, {
     shift: 1,
-    smooth: color.smooth,
+    curve: color.curve,
+    gamut: color.gamut,
+    gamut_mapping: color.gamut_mapping,
+    hue_interpolation: color.hue_interpolation,
+    viewing_conditions: color.viewing_conditions,
     // Inject original keycolors to ensure they are present in the background options
   }).concat(color.key_colors)
 
@@ -50,4 +55,59 @@ export function create_background_color_scale(color, output_format) {
 
   const final_bg_color_scale = bg_color_arr.map(color => fmt_color(color, output_format))
   return final_bg_color_scale
-}
\ No newline at end of file
+}
+/**
+ * a layered background (e.g. a raised card, an overlay, a sunken well),
+ *  defined relative to the base background so that it moves with it between light and dark modes:
+ * - `offset`: steps of lightness along the background color scale away from the base
+ * - `contrast`: contrast against the base background, under the theme's contrast algorithm
+ * 
+ * positive values move away from the nearer end of the scale, like foreground colors do
+ *  (i.e. darker on light backgrounds, lighter on dark ones); negative values move towards it
+ * 
+ * @typedef {{ offset: number, contrast?: never } | { contrast: number, offset?: never }} Surface
+ */
+
+/**
+ * whether something is a valid surface definition
+ * 
+ * @param {any} surface 
+ * @returns {surface is Surface}
+ */
+export function is_surface(surface) {
+  if (!surface || typeof surface !== 'object' || Array.isArray(surface)) { return false }
+  const keys = Object.keys(surface)
+  return keys.length === 1 && (keys[0] === 'offset' || keys[0] === 'contrast') && typeof surface[keys[0]] === 'number'
+}
+
+/**
+ * finds a surface's lightness (i.e. index) on a background color scale,
+ *  given the lightness of the base background.
+ * surfaces are clamped to the ends of the scale;
+ *  contrast surfaces get the background whose contrast against the base background
+ *  (the page's actual background, rather than its scale entry) is closest to theirs
+ * 
+ * @param {string[]} scale -- as made by `create_background_color_scale`
+ * @param {number} lightness -- of the base background
+ * @param {string} background -- the base background
+ * @param {Surface} surface 
+ * @param {import('./contrast.js').ContrastAlgorithm} algorithm 
+ * @returns {number}
+ */
+export function surface_lightness(scale, lightness, background, surface, algorithm) {
+  const base_v = lightness / 100
+  const last = scale.length - 1
+
+  if ('offset' in surface) {
+    // away from the nearer end: up in dark mode, down in light mode
+    const dir = is_darkmode(base_v) ? 1 : -1
+    return Math.min(last, Math.max(0, Math.round(lightness + dir * surface.offset)))
+  }
+
+  const base = chroma(background).rgb()
+  return range(last + 1)
+    .map(i => ({ i, d: Math.abs(contrast(chroma(scale[i]).rgb(), base, base_v, algorithm) - surface.contrast) }))
+    // ties go to the lightness closest to the base
+    .reduce((a, b) => b.d < a.d || b.d === a.d && Math.abs(b.i - lightness) < Math.abs(a.i - lightness) ? b : a)
+    .i
+}
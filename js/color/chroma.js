@@ -12,26 +12,28 @@ governing permissions and limitations under the License.
 */
 
 /**
- * @overview shim for chroma-js, adding methods to convert color spaces not supported by chroma-js
+ * @overview shim for chroma-js, providing functions to convert color spaces not supported by chroma-js
  * into chroma-js colors, and likewise convert chroma-js colors into said unsupported color space values.
  * 
  * additionally provides the `chroma` chroma-js instance to use for the library.
  * this is mostly to avoid multiple chroma-js instances being imported if/when the library is bundled.
- * it also ensures the `chroma` used has the monkey patch applied.
+ * chroma-js itself is left untouched (interpolation is done by `interpolate.js`),
+ *  so importing the library doesn't change any other chroma-js instance.
  */
 
 import chroma from 'chroma-js'
 
-import { denormalize_rgb } from '../utils/color.js'
 import { pack, pipe, unpack } from '../utils/fn.js'
 import { take } from '../utils/iter.js'
 
 import { hsluv_to_rgb, rgb_to_hsluv } from './spaces/hsluv.js'
-import { cam02jab_to_rgb, rgb_to_cam02jab } from './spaces/cam02_jab.js'
-import { cam02jch_to_rgb, rgb_to_cam02jch } from './spaces/cam02_jch.js'
-import { cam16jab_to_rgb, rgb_to_cam16jab } from './spaces/cam16_jab.js'
-import { cam16jch_to_rgb, rgb_to_cam16jch } from './spaces/cam16_jch.js'
-import { hct_to_rgb, rgb_to_hct } from './spaces/hct.js'
+import { cam02jab_in, cam02jab_to_rgb, rgb_to_cam02jab } from './spaces/cam02_jab.js'
+import { cam02jch_in, cam02jch_to_rgb, rgb_to_cam02jch } from './spaces/cam02_jch.js'
+import { cam16jab_in, cam16jab_to_rgb, rgb_to_cam16jab } from './spaces/cam16_jab.js'
+import { cam16jch_in, cam16jch_to_rgb, material_viewing_conditions, rgb_to_cam16jch } from './spaces/cam16_jch.js'
+import { hct_in, hct_to_rgb, rgb_to_hct } from './spaces/hct.js'
+import { GAMUT_MAPPINGS, gamut_map, gamut_to_rgb } from './gamut.js'
+import { viewing_conditions_key } from './viewing.js'
 
 const take3 = take(3)
 const get_rgb_from_chroma_color = color => take3(color._rgb)
@@ -89,6 +91,52 @@ const to_hct = _to_space(rgb_to_hct)
 /** @type {(...args: [h: number, c: number, t: number]) => import('chroma-js').Color} */
 const from_hct = _from_space(hct_to_rgb)
 
+/**
+ * the srgb values of a chroma color, including values outside of [0, 255] for colors outside of the srgb gamut
+ *  (which chroma-js clips, but keeps around)
+ * 
+ * @param {import('chroma-js').Color} color 
+ * @returns {[r255: number, g255: number, b255: number]}
+ */
+export const extended_rgb = color => take3(color._rgb._unclipped ?? color._rgb)
+
+/**
+ * maps a color into the srgb gamut using css color 4 gamut mapping, rather than clipping it.
+ * colors already in the srgb gamut are returned as is
+ * 
+ * @param {import('chroma-js').Color} color 
+ * @returns {import('chroma-js').Color}
+ */
+export function to_srgb_gamut(color) {
+  if (!color.clipped()) { return color }
+  return to_gamut(color, 'srgb')
+}
+
+/**
+ * maps a color into a gamut with a gamut mapping strategy.
+ * the resulting color keeps values outside of the srgb gamut if the gamut is wider than srgb
+ * 
+ * @param {import('chroma-js').Color} color 
+ * @param {import('./gamut.js').Gamut} gamut 
+ * @param {import('./gamut.js').GamutMapping} [mapping='css'] 
+ * @returns {import('chroma-js').Color}
+ */
+export function to_gamut(color, gamut, mapping = 'css') {
+  return chroma.rgb(...gamut_to_rgb(GAMUT_MAPPINGS[mapping](extended_rgb(color), gamut), gamut), color.alpha())
+}
+
+/** @type {(color: import('chroma-js').Color) => [r: number, g: number, b: number]} */
+const to_display_p3 = color => gamut_map(extended_rgb(color), 'display-p3')
+
+/** @type {(...args: [r: number, g: number, b: number]) => import('chroma-js').Color} */
+const from_display_p3 = (...rgb) => chroma.rgb(...gamut_to_rgb(rgb, 'display-p3'))
+
+/** @type {(color: import('chroma-js').Color) => [r: number, g: number, b: number]} */
+const to_rec2020 = color => gamut_map(extended_rgb(color), 'rec2020')
+
+/** @type {(...args: [r: number, g: number, b: number]) => import('chroma-js').Color} */
+const from_rec2020 = (...rgb) => chroma.rgb(...gamut_to_rgb(rgb, 'rec2020'))
+
 /** @satisfies {Record<import('./space.js').InternalColorSpace, (...args: Parameters<import('chroma-js').ChromaStatic>) => color: import('chroma-js').Color} */
 export const from = {
   hex:      chroma.hex,
@@ -105,6 +153,8 @@ export const from = {
   cam16jab: from_cam16jab,
   cam16jch: from_cam16jch,
   hct:      from_hct,
+  'display-p3': from_display_p3,
+  rec2020:  from_rec2020,
 }
 
 /** @satisfies {Record<import('./space.js').InternalColorSpace, (color: import('chroma-js').Color) => any} */
@@ -123,6 +173,57 @@ export const to = {
   cam16jab: to_cam16jab,
   cam16jch: to_cam16jch,
   hct:      to_hct,
+  // wide gamut colors are gamut mapped, rather than clipped
+  'display-p3': to_display_p3,
+  rec2020:  to_rec2020,
+}
+
+/**
+ * @typedef {'cam02jab' | 'cam02jch' | 'cam16jab' | 'cam16jch' | 'hct'} ViewedColorSpace
+ */
+
+/** @type {Map<string, { to: Record<ViewedColorSpace, (color: import('chroma-js').Color) => number[]>, from: Record<ViewedColorSpace, (...args: number[]) => import('chroma-js').Color> }>} */
+const viewed_spaces = new Map()
+
+/** how many viewing conditions conversions are kept around for */
+const MAX_VIEWED_SPACES = 16
+
+/**
+ * conversions from/to the color spaces of color appearance models (see `ViewedColorSpace`)
+ *  as colors are seen under viewing conditions, in the same form as `to` and `from`.
+ * conversions are kept around for the viewing conditions used most recently (see `MAX_VIEWED_SPACES`),
+ *  so that conditions changing over time (e.g. adapting luminance following a slider) don't pile up
+ * 
+ * @param {import('./viewing.js').ViewingConditions} vc 
+ * @returns {{ to: Record<ViewedColorSpace, (color: import('chroma-js').Color) => number[]>, from: Record<ViewedColorSpace, (...args: number[]) => import('chroma-js').Color> }}
+ */
+export function in_viewing_conditions(vc) {
+  const key = viewing_conditions_key(vc)
+  const cached = viewed_spaces.get(key)
+  if (cached) {
+    // maps keep insertion order: moving the conditions to the end keeps the least recently used first
+    viewed_spaces.delete(key)
+    viewed_spaces.set(key, cached)
+    return cached
+  }
+
+  const material_vc = material_viewing_conditions(vc)
+  // without any conditions, hct stays material's own (which reduces chroma to fit colors into srgb)
+  const defaults = Object.values(vc).every(v => v === undefined)
+  const spaces = {
+    cam02jab: cam02jab_in(vc),
+    cam02jch: cam02jch_in(vc),
+    cam16jab: cam16jab_in(material_vc),
+    cam16jch: cam16jch_in(material_vc),
+    hct: defaults ? { to_rgb: hct_to_rgb, from_rgb: rgb_to_hct } : hct_in(material_vc),
+  }
+  const viewed = {
+    to: /**@type{any}*/(Object.fromEntries(Object.entries(spaces).map(([space, { from_rgb }]) => [space, _to_space(from_rgb)]))),
+    from: /**@type{any}*/(Object.fromEntries(Object.entries(spaces).map(([space, { to_rgb }]) => [space, _from_space(to_rgb)]))),
+  }
+  viewed_spaces.set(key, viewed)
+  if (viewed_spaces.size > MAX_VIEWED_SPACES) { viewed_spaces.delete(viewed_spaces.keys().next().value) }
+  return viewed
 }
 
 export const chroma_color = {
@@ -130,111 +231,4 @@ export const chroma_color = {
   to,
 }
 
-/**
- * monkey patch chroma to support interpolating by jch/jab/hsluv.
- * code courtesy of Adobe
- */
-const extendChroma = (chroma) => {
-  // CAM02 JCH
-  chroma.Color.prototype.cam02jch = function () { return to.cam02jch(this) };
-  chroma.cam02jch = from.cam02jch;
-
-  // CAM02 JAB
-  chroma.Color.prototype.cam02jab = function () { return to.cam02jab(this) };
-  chroma.cam02jab = from.cam02jab;
-
-  // HSLuv
-  chroma.Color.prototype.hsluv = function () { return to.hsluv(this) };
-  chroma.hsluv = from.hsluv;
-
-  // CAM16 JCH
-  chroma.Color.prototype.cam16jch = function () { return to.cam16jch(this) };
-  chroma.cam16jch = from.cam16jch;
-
-  // CAM16 JAB
-  chroma.Color.prototype.cam16jab = function () { return to.cam16jab(this) };
-  chroma.cam16jab = from.cam16jab;
-
-  // HCT
-  chroma.Color.prototype.hct = function () { return to.hct(this) };
-  chroma.hct = from.hct;
-
-  const oldInterpol = chroma.interpolate;
-  const rgb_to = {
-    cam02jch: rgb_to_cam02jch,
-    cam02jab: rgb_to_cam02jab,
-    hsluv: rgb_to_hsluv,
-    cam16jch: rgb_to_cam16jch,
-    cam16jab: rgb_to_cam16jab,
-    hct: rgb_to_hct,
-  };
-  const lerpH = (a, b, t) => {
-    const m = 360;
-    const d = Math.abs(a - b);
-    if (d > m / 2) {
-      if (a > b) {
-        b += m;
-      } else {
-        a += m;
-      }
-    }
-    return ((1 - t) * a + t * b) % m;
-  };
-
-  chroma.interpolate = (col1, col2, f = 0.5, mode = 'lrgb') => {
-    if (rgb_to.hasOwnProperty(mode)) {
-      if (typeof col1 !== 'object') {
-        col1 = new chroma.Color(col1);
-      }
-      if (typeof col2 !== 'object') {
-        col2 = new chroma.Color(col2);
-      }
-      const xyz1 = rgb_to[mode](denormalize_rgb(col1.gl()));
-      const xyz2 = rgb_to[mode](denormalize_rgb(col2.gl()));
-      const grey1 = Number.isNaN(col1.hsl()[0]);
-      const grey2 = Number.isNaN(col2.hsl()[0]);
-      let X;
-      let Y;
-      let Z;
-      switch (mode) {
-        case 'hsluv':
-          if (xyz1[1] < 1e-10) {
-            xyz1[0] = xyz2[0];
-          }
-          if (xyz1[1] === 0) { // black or white
-            xyz1[1] = xyz2[1];
-          }
-          if (xyz2[1] < 1e-10) {
-            xyz2[0] = xyz1[0];
-          }
-          if (xyz2[1] === 0) { // black or white
-            xyz2[1] = xyz1[1];
-          }
-          X = lerpH(xyz1[0], xyz2[0], f);
-          Y = xyz1[1] + (xyz2[1] - xyz1[1]) * f;
-          Z = xyz1[2] + (xyz2[2] - xyz1[2]) * f;
-          break;
-        case 'cam02jch':
-        case 'cam16jch':
-          if (grey1) {
-            xyz1[2] = xyz2[2];
-          }
-          if (grey2) {
-            xyz2[2] = xyz1[2];
-          }
-          X = xyz1[0] + (xyz2[0] - xyz1[0]) * f;
-          Y = xyz1[1] + (xyz2[1] - xyz1[1]) * f;
-          Z = lerpH(xyz1[2], xyz2[2], f);
-          break;
-        default:
-          X = xyz1[0] + (xyz2[0] - xyz1[0]) * f;
-          Y = xyz1[1] + (xyz2[1] - xyz1[1]) * f;
-          Z = xyz1[2] + (xyz2[2] - xyz1[2]) * f;
-      }
-      return chroma[mode](X, Y, Z).alpha(col1.alpha() + f * (col2.alpha() - col1.alpha()));
-    }
-    return oldInterpol(col1, col2, f, mode);
-  };
-};
-extendChroma(chroma)
 export { chroma }
@@ -11,12 +11,18 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-import { between } from '../math/math.js'
+import { between, round } from '../math/math.js'
 import { assert } from '../utils/assert.js'
+import { validate_color_config } from '../config.js'
 import { pipe } from '../utils/fn.js'
-import { chroma, from, to } from './chroma.js'
-import { color_scale } from './scale.js'
+import { range } from '../utils/iter.js'
+import { chroma, extended_rgb, from, to } from './chroma.js'
+import { SOLUTIONS, contrast_range } from './generate.js'
+import { GAMUTS, GAMUT_MAPPINGS, delta_eok, gamut_to_rgb, in_gamut } from './gamut.js'
+import { HUE_INTERPOLATIONS } from './interpolate.js'
+import { CURVES, color_scale, is_curve } from './scale.js'
 import { INTERPOLATION_COLOR_SPACES } from './space.js'
+import { SURROUNDS, WHITE_POINTS, is_viewing_conditions } from './viewing.js'
 
 export class Color {
   /** @type {string} */
@@ -27,10 +33,22 @@ export class Color {
   #color_space
   /** @type {number[] | Record<string, number>} */
   #ratios
-  /** @type {boolean} */
-  #smooth
+  /** @type {import('./scale.js').Curve} */
+  #curve
   /** @type {number | null} */
   #saturation = null
+  /** @type {ColorAlpha} */
+  #alpha = null
+  /** @type {import('./gamut.js').Gamut | null} */
+  #gamut = null
+  /** @type {import('./gamut.js').GamutMapping} */
+  #gamut_mapping = 'css'
+  /** @type {import('./interpolate.js').HueInterpolation} */
+  #hue_interpolation = 'shorter'
+  /** @type {import('./generate.js').Solution} */
+  #solution = 'nearest'
+  /** @type {import('./viewing.js').ViewingConditions | null} */
+  #viewing_conditions = null
 
   /** @type {string[]} */
   #resolved_key_colors
@@ -48,38 +66,72 @@ export class Color {
    * key_colors   | hex_string[]                  | <required>  | the key colors to create a color scale through
    * color_space  | InterpolationColorSpace       | <required>  | the color space to interpolate through to create colors
    * ratios       | number[] | { string: number}  | <required>  | target contrast ratios. either a list of ratios, or a mapping of labels to ratios
-   * smooth       | boolean                       | false       | whether to smooth the interpolated path
+   * smooth       | boolean                       | false       | whether to smooth the interpolated path (shorthand for a "catmull-rom" curve)
+   * curve        | Curve                         | "linear"    | the path through the key colors (see `color_scale`); a curve name, or an easing (per coordinate)
    * saturation   | null | number: [0, 100]       | null        | how much to desaturate the color (100 = default saturation; null = don't apply desaturation at all)
+   * alpha        | ColorAlpha                    | null        | translucency of swatches (see below)
+   * gamut        | null | Gamut                  | null        | gamut to map the color scale into (null = keep colors as interpolated, mapping them into the output format's gamut on output)
+   * gamut_mapping| GamutMapping                  | "css"       | how to map colors outside of the gamut into it
+   * hue_interpolation | HueInterpolation         | "shorter"   | which way around the hue circle to interpolate in polar color spaces (linear and eased scales only)
+   * solution     | Solution                      | "nearest"   | which color to pick when several along the scale reach a target ratio (see `generate_colors`)
+   * viewing_conditions | null | ViewingConditions | null      | the environment the color is seen in, for color appearance model spaces (cam02, cam02p, cam16, cam16p, hct; null = each space's defaults)
    * ```
    * 
+   * alpha:
+   * - `null`: swatches are opaque colors along the color scale
+   * - number in [0, 1]: swatches are colors along the color scale at a fixed alpha
+   * - `"variable"`: swatches are the first key color (i.e. a fixed hue and lightness) at a variable alpha
+   * 
+   * translucent swatches reach their target contrast once composited over the background.
+   * 
    * @param {{
    *  name: string
    *  key_colors: string[]
    *  color_space: import('./space.js').InterpolationColorSpace
    *  ratios: number[] | Record<string, number>
    *  smooth?: boolean
+   *  curve?: import('./scale.js').Curve
    *  saturation?: number | null
+   *  alpha?: ColorAlpha
+   *  gamut?: import('./gamut.js').Gamut | null
+   *  gamut_mapping?: import('./gamut.js').GamutMapping
+   *  hue_interpolation?: import('./interpolate.js').HueInterpolation
+   *  solution?: import('./generate.js').Solution
+   *  viewing_conditions?: import('./viewing.js').ViewingConditions | null
    * }} opts 
    */
-  constructor({ name, key_colors, color_space, ratios, smooth = false, saturation = null }) {
+  constructor({ name, key_colors, color_space, ratios, smooth = false, curve = smooth ? 'catmull-rom' : 'linear', saturation = null, alpha = null, gamut = null, gamut_mapping = 'css', hue_interpolation = 'shorter', solution = 'nearest', viewing_conditions = null }) {
     this.with_name(name)
     this.with_key_colors(key_colors)
     this.with_color_space(color_space)
     this.with_ratios(ratios)
-    this.with_smooth(smooth)
+    this.with_curve(curve)
     this.with_saturation(saturation)
+    this.with_alpha(alpha)
+    this.with_gamut(gamut)
+    this.with_gamut_mapping(gamut_mapping)
+    this.with_hue_interpolation(hue_interpolation)
+    this.with_solution(solution)
+    this.with_viewing_conditions(viewing_conditions)
   }
 
   clone() {
-    return new Color(structuredClone({
+    const cloned = structuredClone({
       name: this.#name,
       key_colors: this.#key_colors,
       resolved_key_colors: this.#resolved_key_colors,
       color_space: this.#color_space,
       ratios: this.#ratios,
-      smooth: this.#smooth,
       saturation: this.#saturation,
-    }))
+      alpha: this.#alpha,
+      gamut: this.#gamut,
+      gamut_mapping: this.#gamut_mapping,
+      hue_interpolation: this.#hue_interpolation,
+      solution: this.#solution,
+      viewing_conditions: this.#viewing_conditions,
+    })
+    // easings are functions, which can't be structured-cloned
+    return new Color({ ...cloned, curve: this.#curve })
   }
 
   get name() { return this.#name }
@@ -88,7 +140,14 @@ export class Color {
   get color_space() { return this.#color_space }
   get ratios() { return this.#ratios }
   get saturation() { return this.#saturation }
-  get smooth() { return this.#smooth }
+  get smooth() { return this.#curve === 'catmull-rom' }
+  get curve() { return this.#curve }
+  get alpha() { return this.#alpha }
+  get gamut() { return this.#gamut }
+  get gamut_mapping() { return this.#gamut_mapping }
+  get hue_interpolation() { return this.#hue_interpolation }
+  get solution() { return this.#solution }
+  get viewing_conditions() { return this.#viewing_conditions }
 
   /** @param {string} name  */
   with_name(name) {
@@ -129,7 +188,14 @@ export class Color {
 
   /** @param {boolean} smooth  */
   with_smooth(smooth) {
-    this.#smooth = !!smooth
+    return this.with_curve(smooth ? 'catmull-rom' : 'linear')
+  }
+
+  /** @param {import('./scale.js').Curve} curve  */
+  with_curve(curve) {
+    assert(is_curve(curve), `curve should either be one of ${CURVES.map(c => `"${c}"`).join(', ')}, an easing function, or an array of 3 easing functions`)
+
+    this.#curve = curve
     this.#_invalidate_color_scale()
     return this
   }
@@ -144,26 +210,184 @@ export class Color {
     return this
   }  
 
+  /** @param {ColorAlpha} alpha  */
+  with_alpha(alpha) {
+    assert(alpha === null || alpha === 'variable' || typeof alpha === 'number' && between(0, alpha, 1), `alpha should either be null, "variable", or a number between 0 and 1`)
+
+    this.#alpha = alpha
+    return this
+  }
+
+  /** @param {import('./gamut.js').Gamut | null} gamut  */
+  with_gamut(gamut) {
+    assert(gamut === null || GAMUTS.includes(gamut), `gamut should either be null or one of ${GAMUTS.map(g => `"${g}"`).join(', ')}`)
+
+    this.#gamut = gamut
+    this.#_invalidate_color_scale()
+    return this
+  }
+
+  /** @param {import('./gamut.js').GamutMapping} gamut_mapping  */
+  with_gamut_mapping(gamut_mapping) {
+    assert(GAMUT_MAPPINGS.hasOwnProperty(gamut_mapping), `gamut mapping "${gamut_mapping}" not supported`)
+
+    this.#gamut_mapping = gamut_mapping
+    this.#_invalidate_color_scale()
+    return this
+  }
+
+  /** @param {import('./interpolate.js').HueInterpolation} hue_interpolation  */
+  with_hue_interpolation(hue_interpolation) {
+    assert(HUE_INTERPOLATIONS.hasOwnProperty(hue_interpolation), `hue interpolation "${hue_interpolation}" not supported`)
+
+    this.#hue_interpolation = hue_interpolation
+    this.#_invalidate_color_scale()
+    return this
+  }
+
+  /** @param {import('./generate.js').Solution} solution  */
+  with_solution(solution) {
+    assert(SOLUTIONS.hasOwnProperty(solution), `solution "${solution}" not supported`)
+
+    this.#solution = solution
+    return this
+  }
+
+  /** @param {import('./viewing.js').ViewingConditions | null} viewing_conditions  */
+  with_viewing_conditions(viewing_conditions) {
+    assert(viewing_conditions === null || is_viewing_conditions(viewing_conditions), `viewing conditions should either be null or an object with a white_point (one of ${Object.keys(WHITE_POINTS).map(w => `"${w}"`).join(', ')}, or xyz), adapting_luminance (> 0), background_luminance (in (0, 100]), surround (one of ${SURROUNDS.map(s => `"${s}"`).join(', ')}) and/or discounting (boolean)`)
+
+    this.#viewing_conditions = viewing_conditions
+    this.#_invalidate_color_scale()
+    return this
+  }
+
   get_color_scale(granularity = 3000) {
     if (this.#color_scale !== null) { return this.#color_scale }
     const scale = color_scale(granularity, this.#resolved_key_colors, this.#color_space, {
       shift: 1,
-      smooth: this.#smooth,
+      curve: this.#curve,
+      gamut: this.#gamut,
+      gamut_mapping: this.#gamut_mapping,
+      hue_interpolation: this.#hue_interpolation,
+      viewing_conditions: this.#viewing_conditions,
       as_fn: true,
     })
     this.#color_scale = scale
     return scale
   }
 
-  to_object() {
+  /**
+   * the range of contrast against a background that can be reached along the color's scale
+   *  (with its alpha, if translucent), under a contrast algorithm.
+   * target ratios outside of it can't be reached with this color and background
+   * 
+   * @param {string} background 
+   * @param {{ algorithm?: import('./contrast.js').ContrastAlgorithm }} [opts] 
+   * @returns {import('./generate.js').ContrastRange}
+   */
+  contrast_range(background, { algorithm = 'wcag3' } = {}) {
+    assert(chroma.valid(background), `invalid background color "${background}"`)
+    return contrast_range(this, chroma(background).rgb(), undefined, algorithm)
+  }
+
+  /**
+   * reports which parts of the color's (unmapped) scale fall outside of its gamut (srgb if it has none),
+   *  and how far (ΔEOK) its gamut mapping moves them to fit into it.
+   * 
+   * positions are along the scale, from its lightest (0) to its darkest (1) color.
+   * 
+   * @param {{ samples?: number }} [opts] 
+   * @returns {GamutReport}
+   */
+  gamut_report({ samples = 300 } = {}) {
+    const granularity = 3000
+    const gamut = this.#gamut ?? 'srgb'
+    const gamut_mapping = this.#gamut_mapping
+    const scale = color_scale(granularity, this.#resolved_key_colors, this.#color_space, {
+      shift: 1,
+      curve: this.#curve,
+      hue_interpolation: this.#hue_interpolation,
+      viewing_conditions: this.#viewing_conditions,
+      as_fn: true,
+    })
+
+    const points = range(samples + 1).map(i => {
+      const position = i / samples
+      const rgb = extended_rgb(scale(position * granularity))
+      if (in_gamut(rgb, gamut)) { return { position, delta_e: null } }
+      const mapped = gamut_to_rgb(GAMUT_MAPPINGS[gamut_mapping](rgb, gamut), gamut)
+      return { position, delta_e: delta_eok(rgb, mapped) }
+    })
+
+    /** @type {GamutReport['ranges']} */
+    const ranges = []
+    points.forEach(({ position, delta_e }, i) => {
+      if (delta_e === null) { return }
+      const last = ranges.at(-1)
+      if (last && points[i - 1].delta_e !== null) {
+        last.end = round(position, 3)
+        last.max_delta_e = Math.max(last.max_delta_e, round(delta_e, 4))
+      } else {
+        ranges.push({ start: round(position, 3), end: round(position, 3), max_delta_e: round(delta_e, 4) })
+      }
+    })
+
+    const out_of_gamut = points.filter(p => p.delta_e !== null).length
     return {
+      gamut,
+      gamut_mapping,
+      samples: points.length,
+      out_of_gamut,
+      max_delta_e: Math.max(0, ...ranges.map(r => r.max_delta_e)),
+      ranges,
+    }
+  }
+
+  /**
+   * serializes the color into a json-safe color config,
+   *  which can be loaded back with `Color.from_object`.
+   * `smooth` is left out, as the curve it's shorthand for is included; colors with an easing curve can't be serialized
+   * 
+   * @returns {import('../config.js').ColorConfig}
+   */
+  to_object() {
+    assert(typeof this.#curve === 'string', `color "${this.#name}" has an easing curve, which can't be serialized`)
+
+    return structuredClone({
       name: this.#name,
       key_colors: this.#key_colors,
       color_space: this.#color_space,
       ratios: this.#ratios,
-      smooth: this.#smooth,
+      curve: this.#curve,
       saturation: this.#saturation,
-    }
+      alpha: this.#alpha,
+      gamut: this.#gamut,
+      gamut_mapping: this.#gamut_mapping,
+      hue_interpolation: this.#hue_interpolation,
+      solution: this.#solution,
+      viewing_conditions: this.#viewing_conditions,
+    })
+  }
+
+  /**
+   * loads a color from a color config, as produced by `Color.to_object`
+   * 
+   * @param {import('../config.js').ColorConfig} o 
+   * @returns {Color}
+   */
+  static from_object(o) {
+    return new Color(structuredClone(validate_color_config(o)))
+  }
+
+  /**
+   * loads a color from a json color config
+   * 
+   * @param {string} json 
+   * @returns {Color}
+   */
+  static from_json(json) {
+    return Color.from_object(JSON.parse(json))
   }
 
   #_invalidate_color_scale() {
@@ -187,4 +411,19 @@ function saturate(key_colors, saturation) {
       to.hex,
     )(new_hsluv)
   })
-}
\ No newline at end of file
+}
+
+/**
+ * @typedef {null | number | 'variable'} ColorAlpha
+ */
+
+/**
+ * @typedef {{
+ *  gamut: import('./gamut.js').Gamut
+ *  gamut_mapping: import('./gamut.js').GamutMapping
+ *  samples: number
+ *  out_of_gamut: number
+ *  max_delta_e: number
+ *  ranges: { start: number, end: number, max_delta_e: number }[]
+ * }} GamutReport
+ */
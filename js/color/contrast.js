@@ -11,22 +11,57 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-import { APCAcontrast as apca_contrast, sRGBtoY as srgb_to_y } from 'apca-w3'
+import { APCAcontrast as apca_contrast } from 'apca-w3'
 
 import { min, round } from '../math/math.js'
 import { assert } from '../utils/assert.js'
 import { numeric, range } from '../utils/iter.js'
-import { to } from './chroma.js'
+import { chroma, to } from './chroma.js'
+import { apca_luminance } from './algorithms/apca.js'
+import { bpca_contrast, bpca_luminance } from './algorithms/bpca.js'
 
 
 /**
- * @typedef {'wcag2' | 'wcag3'} ContrastAlgorithm
+ * name of a registered contrast algorithm.
+ * built-in algorithms are `wcag2`, `wcag3` (APCA), `bpca` (Bridge-PCA), `weber` and `michelson`
+ * 
+ * @typedef {'wcag2' | 'wcag3' | 'bpca' | 'weber' | 'michelson' | (string & {})} ContrastAlgorithm
  */
 
-export const CONTRAST_ALGORITHMS = new Set(['wcag2', 'wcag3'])
+/**
+ * a contrast algorithm definition.
+ * 
+ * ```text
+ * field         | type                              | description
+ * -------------------------------------------------------------------
+ * contrast      | (color, base) => number           | contrast of color (e.g. text) on base (e.g. background); rgb in [0, 255]
+ * luminance     | (color) => number                 | luminance of a color, as used by the algorithm
+ * polarity      | "signed" | "unsigned"             | sign convention of `contrast` (see below)
+ * min_ratio     | number                            | smallest ratio considered "positive"
+ * neutral_ratio | number                            | ratio meaning "no contrast", around which the contrast multiplier scales ratios
+ * name_scale    | { negative: number, step: number} | how `ratio_names` names ratios: negative ratios are spread between 0 and `negative`, positive ratios count up by `step`
+ * tolerance     | number                            | how far an achieved contrast may be from its target before an audit considers it missed
+ * ```
+ * 
+ * sign conventions:
+ * - `"unsigned"`: `contrast` returns a magnitude. it is made positive when the color is darker than the base in light mode
+ *    (or lighter in dark mode), and negative otherwise, as determined by `luminance`
+ * - `"signed"`: `contrast` returns a positive value for dark colors on light bases and a negative value for the reverse
+ *    (like APCA). it is negated in dark mode
+ * 
+ * @typedef {{
+ *  contrast: (color: [r255: number, g255: number, b255: number], base: [r255: number, g255: number, b255: number]) => number
+ *  luminance: (color: [r255: number, g255: number, b255: number]) => number
+ *  polarity: 'signed' | 'unsigned'
+ *  min_ratio: number
+ *  neutral_ratio: number
+ *  name_scale: { negative: number, step: number }
+ *  tolerance: number
+ * }} ContrastAlgorithmDefinition
+ */
 
 /** @type{(base_v: number) => boolean} */
-const is_darkmode = base_v => base_v < 0.5 
+export const is_darkmode = base_v => base_v < 0.5
 
 /**
  * srgb luminance algorithm, as defined by wcag 2.x
@@ -50,47 +85,161 @@ function wcag2_relative_luminance(r, g, b) {
 
 const normalize = n => n / 255
 
+/** @type {(color: [r255: number, g255: number, b255: number]) => number} */
+const wcag2_luminance = color => wcag2_relative_luminance(...color.map(normalize))
+
 /**
+ * wcag 2.x contrast ratio, in [1, 21]
  * 
  * @param {[r255: number, g255: number, b255: number]} color 
  * @param {[r255: number, g255: number, b255: number]} base 
- * @param {boolean} dark_mode 
  */
-function wcag2_contrast(color, base, dark_mode) {
-  const [cr, cg, cb] = color.map(normalize)
-  const [br, bg, bb] = base.map(normalize)
-
-  const [yc, yb] = [wcag2_relative_luminance(cr, cg, cb), wcag2_relative_luminance(br, bg, bb)]
-
-  const is_light_on_dark = yc >= yb
+function wcag2_contrast(color, base) {
+  const [yc, yb] = [wcag2_luminance(color), wcag2_luminance(base)]
+  return (Math.max(yc, yb) + 0.05) / (Math.min(yc, yb) + 0.05)
+}
 
-  const contrast_ratio = (light, dark) => (light + 0.05) / (dark + 0.05)
+/**
+ * APCA lightness contrast (Lc)
+ * 
+ * @param {[r255: number, g255: number, b255: number]} color 
+ * @param {[r255: number, g255: number, b255: number]} base 
+ */
+function wcag3_contrast(color, base) {
+  return apca_contrast(apca_luminance(color), apca_luminance(base))
+}
 
-  // trivial case
-  if (yb === yc) { return 1 }
-
-  return dark_mode
-    // dark mode
-    ? is_light_on_dark
-      ? contrast_ratio(yc, yb)
-      : -1 * contrast_ratio(yb, yc)
-    // light mode
-    : is_light_on_dark
-      ? -1 * contrast_ratio(yc, yb)
-      : contrast_ratio(yb, yc)
+/**
+ * weber contrast, relative to the base's luminance: `|Yc - Yb| / Yb`.
+ * a 0.05 flare term (as in wcag 2.x) is added to the base's luminance so the contrast on black is finite
+ * 
+ * @param {[r255: number, g255: number, b255: number]} color 
+ * @param {[r255: number, g255: number, b255: number]} base 
+ */
+function weber_contrast(color, base) {
+  const [yc, yb] = [wcag2_luminance(color), wcag2_luminance(base)]
+  return Math.abs(yc - yb) / (yb + 0.05)
 }
 
 /**
+ * michelson contrast: `(Ymax - Ymin) / (Ymax + Ymin)`, in [0, 1]
  * 
  * @param {[r255: number, g255: number, b255: number]} color 
  * @param {[r255: number, g255: number, b255: number]} base 
- * @param {boolean} dark_mode 
  */
-function wcag3_contrast(color, base, dark_mode) {
-  return (dark_mode ? -1 : 1) * apca_contrast(srgb_to_y(color), srgb_to_y(base))
+function michelson_contrast(color, base) {
+  const [yc, yb] = [wcag2_luminance(color), wcag2_luminance(base)]
+  const [max, min] = [Math.max(yc, yb), Math.min(yc, yb)]
+  return max + min === 0 ? 0 : (max - min) / (max + min)
+}
+
+const DEFAULT_NAME_SCALE = { negative: 100, step: 100 }
+
+/**
+ * registered contrast algorithms
+ * 
+ * @type {Map<ContrastAlgorithm, ContrastAlgorithmDefinition>}
+ */
+export const CONTRAST_ALGORITHMS = new Map([
+  ['wcag2', {
+    contrast: wcag2_contrast,
+    luminance: wcag2_luminance,
+    polarity: 'unsigned',
+    min_ratio: 0,
+    neutral_ratio: 1,
+    name_scale: DEFAULT_NAME_SCALE,
+    tolerance: 0.05,
+  }],
+  ['wcag3', {
+    contrast: wcag3_contrast,
+    luminance: apca_luminance,
+    polarity: 'signed',
+    min_ratio: 1,
+    neutral_ratio: 1,
+    name_scale: DEFAULT_NAME_SCALE,
+    tolerance: 1,
+  }],
+  ['bpca', {
+    contrast: bpca_contrast,
+    luminance: bpca_luminance,
+    polarity: 'unsigned',
+    min_ratio: 0,
+    neutral_ratio: 1,
+    name_scale: DEFAULT_NAME_SCALE,
+    tolerance: 0.05,
+  }],
+  ['weber', {
+    contrast: weber_contrast,
+    luminance: wcag2_luminance,
+    polarity: 'unsigned',
+    min_ratio: 0,
+    neutral_ratio: 0,
+    name_scale: DEFAULT_NAME_SCALE,
+    tolerance: 0.05,
+  }],
+  ['michelson', {
+    contrast: michelson_contrast,
+    luminance: wcag2_luminance,
+    polarity: 'unsigned',
+    min_ratio: 0,
+    neutral_ratio: 0,
+    name_scale: DEFAULT_NAME_SCALE,
+    tolerance: 0.01,
+  }],
+])
+
+/**
+ * the contrast algorithms that come with the library.
+ * unlike registered ones, they're available in palette workers too
+ */
+export const BUILTIN_CONTRAST_ALGORITHMS = new Set(CONTRAST_ALGORITHMS.keys())
+
+/**
+ * registers a contrast algorithm under a name,
+ *  making it available to `Theme`, `generate_colors`, `contrast` and `ratio_names`.
+ * 
+ * `polarity`, `min_ratio`, `neutral_ratio`, `name_scale` and `tolerance` are optional,
+ *  defaulting to `"unsigned"`, `0`, `1`, `{ negative: 100, step: 100 }` and `0.05` respectively.
+ * 
+ * @param {string} name 
+ * @param {Pick<ContrastAlgorithmDefinition, 'contrast' | 'luminance'> & Partial<ContrastAlgorithmDefinition>} definition 
+ */
+export function register_contrast_algorithm(name, {
+  contrast,
+  luminance,
+  polarity = 'unsigned',
+  min_ratio = 0,
+  neutral_ratio = 1,
+  name_scale = DEFAULT_NAME_SCALE,
+  tolerance = 0.05,
+}) {
+  assert(typeof name === 'string' && name, `contrast algorithm name should be a non-empty string`)
+  assert(typeof contrast === 'function', `contrast algorithm "${name}": contrast should be a function`)
+  assert(typeof luminance === 'function', `contrast algorithm "${name}": luminance should be a function`)
+  assert(polarity === 'signed' || polarity === 'unsigned', `contrast algorithm "${name}": polarity should be "signed" or "unsigned"`)
+  assert(typeof min_ratio === 'number', `contrast algorithm "${name}": min_ratio should be a number`)
+  assert(typeof neutral_ratio === 'number', `contrast algorithm "${name}": neutral_ratio should be a number`)
+  assert(typeof name_scale?.negative === 'number' && typeof name_scale?.step === 'number', `contrast algorithm "${name}": name_scale should be { negative: number, step: number }`)
+  assert(typeof tolerance === 'number', `contrast algorithm "${name}": tolerance should be a number`)
+
+  CONTRAST_ALGORITHMS.set(name, { contrast, luminance, polarity, min_ratio, neutral_ratio, name_scale, tolerance })
+}
+
+/**
+ * gets a registered contrast algorithm's definition
+ * 
+ * @param {ContrastAlgorithm} algorithm 
+ * @returns {ContrastAlgorithmDefinition}
+ */
+export function contrast_algorithm(algorithm) {
+  const def = CONTRAST_ALGORITHMS.get(algorithm)
+  assert(def, `unrecognized contrast algorithm ${algorithm}. supported algorithms: ${[...CONTRAST_ALGORITHMS.keys()].map(a => `"${a}"`).join(', ')}`)
+  return def
 }
 
 /**
+ * contrast of a color against a base color, signed such that positive values
+ *  are in the expected direction for the base (darker colors on light bases, lighter colors on dark bases)
  * 
  * @param {[r: number, g: number, b: number]} color 
  * @param {[r: number, g: number, b: number]} base 
@@ -98,78 +247,92 @@ function wcag3_contrast(color, base, dark_mode) {
  * @param {ContrastAlgorithm} [algorithm='wcag3'] 
  */
 export function contrast(color, base, base_v, algorithm = 'wcag3') {
+  const def = contrast_algorithm(algorithm)
    // If base is an array and base_v undefined
   if (base_v === undefined) {
     const base_lightness = to.hsluv(chroma.rgb(...base))[2]
     base_v = round(base_lightness / 100, 2)
   }
-  
-  switch (algorithm) {
-    case 'wcag2': { return wcag2_contrast(color, base, is_darkmode(base_v)) }
-    case 'wcag3': { return wcag3_contrast(color, base, is_darkmode(base_v)) }
-    default:
-      throw new Error(`unrecognized contrast algorithm ${algorithm}. supported algorithms: "wcag2", "wcag3"`)
-  }
+  const dark_mode = is_darkmode(base_v)
+
+  const c = def.contrast(color, base)
+  if (def.polarity === 'signed') { return (dark_mode ? -1 : 1) * c }
+
+  const [yc, yb] = [def.luminance(color), def.luminance(base)]
+  // trivial case
+  if (yb === yc) { return c }
+
+  const is_light_on_dark = yc > yb
+  return dark_mode === is_light_on_dark ? c : -1 * c
 }
 
-export function multiply_contrast_ratio(ratio, multiplier) {
-  // normalize contrast ratios before multiplying by making 1 = 0.
+/**
+ * scales a contrast ratio by a multiplier,
+ *  relative to the contrast algorithm's neutral ratio
+ * 
+ * @param {number} ratio 
+ * @param {number} multiplier 
+ * @param {ContrastAlgorithm} [algorithm='wcag3'] 
+ * @returns {number}
+ */
+export function multiply_contrast_ratio(ratio, multiplier, algorithm = 'wcag3') {
+  const n = contrast_algorithm(algorithm).neutral_ratio
+  // normalize contrast ratios before multiplying by making the neutral ratio (e.g. 1) = 0.
   // this ensures consistent application of increase/decrease in contrast ratios.
-  // then add 1 back to number for contextual ratio value.
+  // then add the neutral ratio back to number for contextual ratio value.
   const r =
-    ratio > 1 ? (ratio - 1) * multiplier + 1
-    : ratio < -1 ? (ratio + 1) * multiplier - 1
+    ratio > n ? (ratio - n) * multiplier + n
+    : ratio < -n ? (ratio + n) * multiplier - n
     // adobe ? shouldnt this be ratio * multiplier
-    : 1
+    : n
   return round(r, 2)
 }
 
 /**
- * provides "names" for a set of ratios.
+ * provides "names" for a set of ratios,
+ *  following the contrast algorithm's name scale (by default):
  * negative ratios are distributed between 0 and 100,
  * positive ratios are evenly distributed by increments of 100.
- * the actual ratio value does not matter.
+ * the actual ratio value does not matter, only its rank:
+ *  names are given in the same order as `ratios` (which is left as is)
  * 
  * @example
  * ```
  * [-1.5, -1, -0.25, 0, 1.5, 4], wcag2 -> [25, 50, 75, 100, 200, 300]
  * [-1.5, -1, -0.25, 0, 1.5, 4], wcag3 -> [20, 40, 60, 80 , 100, 200]
+ * [4, 1.5, 3], wcag2 -> [300, 100, 200]
  * ``` 
  * 
  * @param {number[]} ratios 
  * @param {ContrastAlgorithm} algorithm 
- * @returns 
+ * @returns {string[]}
  */
 export function ratio_names(ratios, algorithm) {
   assert(ratios, `ratios are undefined`)
 
-  ratios = ratios.sort(numeric)
-
-  const min = min_positive_ratio(ratios, algorithm)
-  const min_i = ratios.indexOf(min)
+  // ranks of the ratios, in order
+  const order = range(ratios.length).sort((i, j) => ratios[i] - ratios[j])
 
-  const n_neg = min_i
+  const n_neg = ratios.filter(r => !is_positive_ratio(algorithm)(r)).length
   const n_pos = ratios.length - n_neg
 
+  const { negative, step } = contrast_algorithm(algorithm).name_scale
   const d = 1 / (n_neg + 1)
-  const m = d * 100
+  const m = d * negative
 
   // [1, 2, ..., 100, 200, ...]
   const n_arr =
     // name the negative values
     range(n_neg).map(i => round(m * (i + 1)))
     // name the positive values
-    .concat(range(n_pos).map(i => (i + 1) * 100))
+    .concat(range(n_pos).map(i => (i + 1) * step))
     .sort(numeric)
     .map(String)
 
-  return n_arr
-}
-
-/** @type {Record<ContrastAlgorithm, number>} */
-const MIN_RATIO = {
-  wcag2: 0,
-  wcag3: 1,
+  /** @type {string[]} */
+  const names = Array(ratios.length)
+  order.forEach((i, rank) => { names[i] = n_arr[rank] })
+  return names
 }
 
 /**
@@ -180,7 +343,7 @@ const MIN_RATIO = {
  * @returns {(r: number) => boolean}
  */
 export function is_positive_ratio(algorithm) {
-  const m = MIN_RATIO[algorithm]
+  const m = contrast_algorithm(algorithm).min_ratio
   return r => r >= m
 }
 
@@ -205,9 +368,5 @@ export function min_positive_ratio(ratios, algorithm) {
  * @returns {number}
  */
 export function luminance(color, algorithm = 'wcag3') {
-  switch (algorithm) {
-    case 'wcag2': { return wcag2_relative_luminance(...color.map(normalize)) }
-    case 'wcag3': { return srgb_to_y(color) }
-    default: throw new Error(`unrecognized algorithm`)
-  }
+  return contrast_algorithm(algorithm).luminance(color)
 }
\ No newline at end of file
@@ -0,0 +1,163 @@
+import { clamp, round } from '../math/math.js'
+import { assert } from '../utils/assert.js'
+import { chroma, to } from './chroma.js'
+import { fmt_color } from './fmt.js'
+import { composite } from './alpha.js'
+
+/**
+ * @typedef {'protanopia' | 'deuteranopia' | 'tritanopia' | 'achromatopsia'} ColorVisionDeficiency
+ */
+
+/**
+ * @typedef {[
+ *  [number, number, number],
+ *  [number, number, number],
+ *  [number, number, number],
+ * ]} Matrix3
+ */
+
+/**
+ * simulation matrices for full-severity dichromacy, applied to linear rgb.
+ * achromatopsia maps colors to their luminance.
+ * 
+ * @see Machado, Oliveira & Fernandes (2009). A Physiologically-based Model for Simulation of Color Vision Deficiency.
+ *  https://www.inf.ufrgs.br/~oliveira/pubs_files/CVD_Simulation/CVD_Simulation.html
+ * 
+ * @type {Record<ColorVisionDeficiency, Matrix3>}
+ */
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900],
+  ],
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+  ],
+}
+
+export const COLOR_VISION_DEFICIENCIES = /**@type{ColorVisionDeficiency[]}*/(Object.keys(CVD_MATRICES))
+
+/** @type {(c: number) => number} */
+const to_linear = c => c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+/** @type {(c: number) => number} */
+const from_linear = c => c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055
+
+const clamp01 = clamp(0, 1)
+
+/**
+ * simulates how a color appears with a color vision deficiency.
+ * partial severities blend linearly between normal vision (0) and full dichromacy (1)
+ * 
+ * @param {[r255: number, g255: number, b255: number]} rgb 
+ * @param {ColorVisionDeficiency} type 
+ * @param {number} [severity=1] -- in [0, 1]
+ * @returns {[r255: number, g255: number, b255: number]}
+ */
+export function simulate_cvd(rgb, type, severity = 1) {
+  assert(CVD_MATRICES.hasOwnProperty(type), `unrecognized color vision deficiency "${type}". supported: ${COLOR_VISION_DEFICIENCIES.map(t => `"${t}"`).join(', ')}`)
+  assert(typeof severity === 'number' && severity >= 0 && severity <= 1, `severity should be a number between 0 and 1`)
+
+  const lin = rgb.map(c => to_linear(c / 255))
+  return /**@type{[number, number, number]}*/(CVD_MATRICES[type].map((row, i) => {
+    const sim = row.reduce((acc, m, j) => acc + m * lin[j], 0)
+    const c = severity * sim + (1 - severity) * lin[i]
+    return from_linear(clamp01(c)) * 255
+  }))
+}
+
+/**
+ * simulates how a whole palette (as produced by `Theme.palette()`) appears with a color vision deficiency.
+ * the palette's values must be parseable colors, so palettes should be generated in `hex` or `rgb`
+ * 
+ * @param {import('../theme.js').Palette} palette 
+ * @param {ColorVisionDeficiency} type 
+ * @param {{
+ *  severity?: number
+ *  output_format?: import('./space.js').OutputColorSpace
+ * }} [opts] 
+ * @returns {import('../theme.js').Palette}
+ */
+export function simulate_palette(palette, type, { severity = 1, output_format = 'hex' } = {}) {
+  /** @type {(value: string) => string} */
+  const sim = value => {
+    assert(chroma.valid(value), `unparseable value "${value}". generate the palette in hex, or rgb if it has no translucent swatches (e.g. \`theme.palette('hex')\`)`)
+    const c = chroma(value)
+    return fmt_color(chroma.rgb(...simulate_cvd(to.rgb(c), type, severity)).alpha(c.alpha()), output_format)
+  }
+
+  const [{ background }, ...colors] = palette.colors
+  const base_obj = { background: sim(background) }
+  const sim_colors = colors.map(({ name, values }) => ({
+    name,
+    values: values.map(swatch => ({ ...swatch, value: sim(swatch.value) })),
+  }))
+  return {
+    colors: [base_obj, ...sim_colors],
+    color_pairs: { ...base_obj, ...Object.fromEntries(sim_colors.flatMap(c => c.values.map(o => [o.name, o.value]))) },
+    color_values: sim_colors.flatMap(c => c.values.map(o => o.value)),
+  }
+}
+
+/**
+ * @typedef {{
+ *  type: ColorVisionDeficiency
+ *  a: string
+ *  b: string
+ *  delta_e: number
+ *  original_delta_e: number
+ * }} CvdConflict
+ */
+
+/**
+ * finds pairs of swatches of different colors in a palette (e.g. `red500` and `green500`)
+ *  that are distinguishable with normal vision,
+ *  but whose simulated colors are closer than a ΔE (CIEDE2000) threshold with a color vision deficiency.
+ * 
+ * @param {import('../theme.js').Palette} palette 
+ * @param {{
+ *  types?: ColorVisionDeficiency[]
+ *  severity?: number
+ *  threshold?: number
+ * }} [opts] 
+ * @returns {CvdConflict[]}
+ */
+export function cvd_conflicts(palette, { types = COLOR_VISION_DEFICIENCIES, severity = 1, threshold = 10 } = {}) {
+  const [{ background }, ...colors] = palette.colors
+  const bg_rgb_arr = to.rgb(chroma(background))
+  const swatches = colors.flatMap(({ name: color, values }, ci) => values.map(({ name, value }) => {
+    assert(chroma.valid(value), `swatch "${name}" has unparseable value "${value}". generate the palette in hex, or rgb if it has no translucent swatches (e.g. \`theme.palette('hex')\`)`)
+    return { ci, name, rgb: composite(value, bg_rgb_arr) }
+  }))
+
+  // pairs of swatches belonging to different colors
+  const pairs = swatches.flatMap((a, i) => swatches.slice(i + 1).filter(b => b.ci !== a.ci).map(b => [a, b]))
+    .map(([a, b]) => [a, b, chroma.deltaE(chroma.rgb(...a.rgb), chroma.rgb(...b.rgb))])
+    .filter(([_a, _b, original_delta_e]) => original_delta_e >= threshold)
+
+  return types.flatMap(type => {
+    /** @type {Map<string, import('chroma-js').Color>} */
+    const sim = new Map(swatches.map(s => [s.name, chroma.rgb(...simulate_cvd(s.rgb, type, severity))]))
+    return pairs
+      .map(([a, b, original_delta_e]) => ({
+        type,
+        a: a.name,
+        b: b.name,
+        delta_e: round(chroma.deltaE(sim.get(a.name), sim.get(b.name)), 2),
+        original_delta_e: round(original_delta_e, 2),
+      }))
+      .filter(({ delta_e }) => delta_e < threshold)
+  })
+}
@@ -1,8 +1,8 @@
 import { map_nan_to_zero, round } from '../math/math.js'
 import { map, zip } from '../utils/iter.js'
 import { pipe, id } from '../utils/fn.js'
-import { chroma, to } from './chroma.js'
-import { COLOR_SPACES } from './space.js'
+import { chroma, to, to_srgb_gamut } from './chroma.js'
+import { COLOR_SPACES, WIDE_GAMUT_OUTPUT_COLOR_SPACES } from './space.js'
 
 // number transformations
 
@@ -21,6 +21,7 @@ const pct = n => `${n}%`
 const deg = n => `${n}deg`
 
 const sca_to_sca = rnd(2) // scalar to scalar
+const sca_to_pre = rnd(4) // scalar to precise scalar
 const sca_to_pct = pipe(m100, rnd(0), pct) // scalar to percent
 const val_to_pct = pipe(rnd(0), pct) // value to percent
 const val_to_val = rnd(0) // value to value
@@ -47,26 +48,43 @@ const COLOR_SPACE_FORMATTERS = {
   lch:    [val_to_pct, val_to_val, val_to_deg],
   oklab:  [sca_to_pct, sca_to_sca, sca_to_sca],
   oklch:  [sca_to_pct, sca_to_sca, val_to_deg],
+  // wide gamut spaces use the `color(<space> r g b)` syntax
+  'display-p3': [sca_to_pre, sca_to_pre, sca_to_pre],
+  rec2020:      [sca_to_pre, sca_to_pre, sca_to_pre],
 }
 
 /**
+ * formats a color as a css string in the given output format.
+ * translucent colors include their alpha: 8-digit hex for `hex`,
+ *  and the space-separated `space(c0 c1 c2 / a)` syntax for everything else.
  * 
- * @param {string} color 
+ * colors outside of the output format's gamut are gamut mapped (css color 4) rather than clipped:
+ *  into display-p3 or rec2020 for those formats, and into srgb for every other format
+ * 
+ * @param {string | import('chroma-js').Color} color 
  * @param {import('./space.js').OutputColorSpace} output_format 
  */
 export function fmt_color(color, output_format) {
   const space = COLOR_SPACES[output_format]
+  const wide = WIDE_GAMUT_OUTPUT_COLOR_SPACES.hasOwnProperty(output_format)
+  const c = wide ? chroma(color) : to_srgb_gamut(chroma(color))
   
-  if (space === 'hex') { return to.hex(chroma(color)) }
+  // chroma includes alpha in hex strings if it isn't 1
+  if (space === 'hex') { return to.hex(c) }
   
   if (COLOR_SPACE_FORMATTERS.hasOwnProperty(space)) {
+    const alpha = c.alpha()
     return pipe(
       space => ap(
         COLOR_SPACE_FORMATTERS[space],
-        to[space](chroma(color)).map(map_nan_to_zero)
+        to[space](c).map(map_nan_to_zero)
       ),
       map(String),
-      xs => `${space}(${xs.join(', ')})`
+      xs => wide
+        ? `color(${space} ${xs.join(' ')}${alpha < 1 ? ` / ${round(alpha, 2)}` : ''})`
+        : alpha < 1
+        ? `${space}(${xs.join(' ')} / ${round(alpha, 2)})`
+        : `${space}(${xs.join(', ')})`
     )(space)
   }
   throw new Error('unrecognized format')
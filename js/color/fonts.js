@@ -0,0 +1,57 @@
+import { APCAcontrast as apca_contrast, fontLookupAPCA as font_lookup_apca } from 'apca-w3'
+
+import { round } from '../math/math.js'
+import { apca_luminance } from './algorithms/apca.js'
+import { APCA_LEVELS } from './audit.js'
+
+/**
+ * @typedef {100 | 200 | 300 | 400 | 500 | 600 | 700 | 800 | 900} FontWeight
+ */
+
+/**
+ * @typedef {{
+ *  lc: number
+ *  sizes: Record<FontWeight, number | null>
+ *  uses: import('./audit.js').ApcaLevel[]
+ * }} ApcaFonts
+ */
+
+const FONT_WEIGHTS = /**@type{const}*/([100, 200, 300, 400, 500, 600, 700, 800, 900])
+
+/**
+ * lookup table values that aren't font sizes:
+ *  999 (too low contrast for anything) and 777 (non-text and spot text only)
+ */
+const NOT_A_SIZE = new Set([999, 777])
+
+/**
+ * looks up the minimum font size (in px) for each font weight allowed by the APCA font lookup table
+ *  for a given Lc, along with the use cases the Lc is sufficient for.
+ * weights that can't be used for text at this contrast have a size of `null`.
+ * 
+ * @see https://git.apcacontrast.com/documentation/APCA_in_a_Nutshell
+ * 
+ * @param {number} lc 
+ * @returns {ApcaFonts}
+ */
+export function apca_font_lookup(lc) {
+  const [_, ...sizes] = font_lookup_apca(lc)
+  return {
+    lc: round(lc, 2),
+    sizes: /**@type{Record<FontWeight, number | null>}*/(Object.fromEntries(
+      FONT_WEIGHTS.map((w, i) => [w, NOT_A_SIZE.has(sizes[i]) ? null : sizes[i]])
+    )),
+    uses: APCA_LEVELS.filter(([_, min]) => Math.abs(lc) >= min).map(([use]) => use),
+  }
+}
+
+/**
+ * APCA font size recommendations for a color used as text on a background
+ * 
+ * @param {[r255: number, g255: number, b255: number]} color 
+ * @param {[r255: number, g255: number, b255: number]} background 
+ * @returns {ApcaFonts}
+ */
+export function apca_fonts(color, background) {
+  return apca_font_lookup(apca_contrast(apca_luminance(color), apca_luminance(background)))
+}
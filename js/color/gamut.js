@@ -0,0 +1,326 @@
+/**
+ * @overview rgb gamuts (srgb, display-p3, rec2020) and css color 4 gamut mapping.
+ *
+ * colors are passed around as "extended" srgb values in [0, 255],
+ *  i.e. values that may fall outside of [0, 255] for colors outside of the srgb gamut
+ *  (as kept by chroma-js in `color._rgb._unclipped`).
+ *
+ * this module only does math on plain arrays, so that `chroma.js` can build on it.
+ *
+ * @see https://www.w3.org/TR/css-color-4/#color-conversion-code
+ * @see https://www.w3.org/TR/css-color-4/#gamut-mapping
+ */
+
+/**
+ * @typedef {'srgb' | 'display-p3' | 'rec2020'} Gamut
+ */
+
+/**
+ * @typedef {keyof typeof GAMUT_MAPPINGS} GamutMapping
+ */
+
+/**
+ * @typedef {[
+ *  [number, number, number],
+ *  [number, number, number],
+ *  [number, number, number],
+ * ]} Matrix3
+ */
+
+/** @type {(m: Matrix3, v: number[]) => [number, number, number]} */
+const mul3 = (m, [a, b, c]) => /**@type{[number, number, number]}*/(m.map(([x, y, z]) => x * a + y * b + z * c))
+
+// transfer functions, extended to negative values by symmetry
+
+/** @type {(v: number) => number} */
+const srgb_to_linear = v => {
+  const abs = Math.abs(v)
+  return abs <= 0.04045 ? v / 12.92 : Math.sign(v) * ((abs + 0.055) / 1.055) ** 2.4
+}
+/** @type {(v: number) => number} */
+const srgb_from_linear = v => {
+  const abs = Math.abs(v)
+  return abs > 0.0031308 ? Math.sign(v) * (1.055 * abs ** (1 / 2.4) - 0.055) : 12.92 * v
+}
+
+const REC2020_ALPHA = 1.09929682680944
+const REC2020_BETA = 0.018053968510807
+
+/** @type {(v: number) => number} */
+const rec2020_to_linear = v => {
+  const abs = Math.abs(v)
+  return abs < REC2020_BETA * 4.5 ? v / 4.5 : Math.sign(v) * ((abs + REC2020_ALPHA - 1) / REC2020_ALPHA) ** (1 / 0.45)
+}
+/** @type {(v: number) => number} */
+const rec2020_from_linear = v => {
+  const abs = Math.abs(v)
+  return abs > REC2020_BETA ? Math.sign(v) * (REC2020_ALPHA * abs ** 0.45 - (REC2020_ALPHA - 1)) : 4.5 * v
+}
+
+// linear rgb <-> xyz (d65)
+
+/** @type {Matrix3} */
+const LINEAR_SRGB_TO_XYZ = [
+  [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+  [87098 / 409605, 175762 / 245763, 12673 / 175545],
+  [7918 / 409605, 87881 / 737289, 1001167 / 1053270],
+]
+/** @type {Matrix3} */
+const XYZ_TO_LINEAR_SRGB = [
+  [12831 / 3959, -329 / 214, -1974 / 3959],
+  [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+  [705 / 12673, -2585 / 12673, 705 / 667],
+]
+/** @type {Matrix3} */
+const LINEAR_P3_TO_XYZ = [
+  [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+  [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+  [0, 32229 / 714400, 5220557 / 5000800],
+]
+/** @type {Matrix3} */
+const XYZ_TO_LINEAR_P3 = [
+  [446124 / 178915, -333277 / 357830, -72051 / 178915],
+  [-14852 / 17905, 63121 / 35810, 423 / 17905],
+  [11844 / 330415, -50337 / 660830, 316169 / 330415],
+]
+/** @type {Matrix3} */
+const LINEAR_REC2020_TO_XYZ = [
+  [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+  [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+  [0, 19567812 / 697040785, 295819943 / 278816314],
+]
+/** @type {Matrix3} */
+const XYZ_TO_LINEAR_REC2020 = [
+  [30757411 / 17917100, -6372589 / 17917100, -4539589 / 17917100],
+  [-19765991 / 29648200, 47925759 / 29648200, 467509 / 29648200],
+  [792561 / 44930125, -1921689 / 44930125, 42328811 / 44930125],
+]
+
+/**
+ * for each gamut, how to go from linear srgb to the gamut's (gamma-encoded) rgb coordinates in [0, 1], and back
+ *
+ * @type {Record<Gamut, {
+ *  from_linear_srgb: (rgb: number[]) => [number, number, number]
+ *  to_linear_srgb: (rgb: number[]) => [number, number, number]
+ * }>}
+ */
+const GAMUT_CONVERSIONS = {
+  'srgb': {
+    from_linear_srgb: rgb => /**@type{[number, number, number]}*/(rgb.map(srgb_from_linear)),
+    to_linear_srgb: rgb => /**@type{[number, number, number]}*/(rgb.map(srgb_to_linear)),
+  },
+  'display-p3': {
+    from_linear_srgb: rgb => /**@type{[number, number, number]}*/(mul3(XYZ_TO_LINEAR_P3, mul3(LINEAR_SRGB_TO_XYZ, rgb)).map(srgb_from_linear)),
+    to_linear_srgb: rgb => mul3(XYZ_TO_LINEAR_SRGB, mul3(LINEAR_P3_TO_XYZ, rgb.map(srgb_to_linear))),
+  },
+  'rec2020': {
+    from_linear_srgb: rgb => /**@type{[number, number, number]}*/(mul3(XYZ_TO_LINEAR_REC2020, mul3(LINEAR_SRGB_TO_XYZ, rgb)).map(rec2020_from_linear)),
+    to_linear_srgb: rgb => mul3(XYZ_TO_LINEAR_SRGB, mul3(LINEAR_REC2020_TO_XYZ, rgb.map(rec2020_to_linear))),
+  },
+}
+
+export const GAMUTS = /**@type{Gamut[]}*/(Object.keys(GAMUT_CONVERSIONS))
+
+// oklab <-> linear srgb
+
+/** @type {Matrix3} */
+const LINEAR_SRGB_TO_LMS = [
+  [0.4122214708, 0.5363325363, 0.0514459929],
+  [0.2119034982, 0.6806995451, 0.1073969566],
+  [0.0883024619, 0.2817188376, 0.6299787005],
+]
+/** @type {Matrix3} */
+const LMS_TO_OKLAB = [
+  [0.2104542553, 0.7936177850, -0.0040720468],
+  [1.9779984951, -2.4285922050, 0.4505937099],
+  [0.0259040371, 0.7827717662, -0.8086757660],
+]
+/** @type {Matrix3} */
+const OKLAB_TO_LMS = [
+  [1, 0.3963377774, 0.2158037573],
+  [1, -0.1055613458, -0.0638541728],
+  [1, -0.0894841775, -1.2914855480],
+]
+/** @type {Matrix3} */
+const LMS_TO_LINEAR_SRGB = [
+  [4.0767416621, -3.3077115913, 0.2309699292],
+  [-1.2684380046, 2.6097574011, -0.3413193965],
+  [-0.0041960863, -0.7034186147, 1.7076147010],
+]
+
+/** @type {(rgb: number[]) => [l: number, a: number, b: number]} */
+const linear_srgb_to_oklab = rgb => mul3(LMS_TO_OKLAB, mul3(LINEAR_SRGB_TO_LMS, rgb).map(Math.cbrt))
+/** @type {(lab: number[]) => [r: number, g: number, b: number]} */
+const oklab_to_linear_srgb = lab => mul3(LMS_TO_LINEAR_SRGB, mul3(OKLAB_TO_LMS, lab).map(v => v ** 3))
+
+/** @type {(rgb255: number[]) => [r: number, g: number, b: number]} */
+const to_linear_srgb = rgb255 => /**@type{[number, number, number]}*/(rgb255.map(v => srgb_to_linear(v / 255)))
+/** @type {(rgb: number[]) => [r255: number, g255: number, b255: number]} */
+const from_linear_srgb = rgb => /**@type{[number, number, number]}*/(rgb.map(v => srgb_from_linear(v) * 255))
+
+/**
+ * converts cie xyz (d65, with Y in [0, 1]) into extended srgb values
+ *
+ * @param {number[]} xyz
+ * @returns {[r255: number, g255: number, b255: number]}
+ */
+export function xyz_to_rgb(xyz) {
+  return from_linear_srgb(mul3(XYZ_TO_LINEAR_SRGB, xyz))
+}
+
+/**
+ * converts extended srgb values into a gamut's rgb coordinates, in [0, 1] if the color is within the gamut
+ *
+ * @param {number[]} rgb255
+ * @param {Gamut} gamut
+ * @returns {[r: number, g: number, b: number]}
+ */
+export function rgb_to_gamut(rgb255, gamut) {
+  return GAMUT_CONVERSIONS[gamut].from_linear_srgb(to_linear_srgb(rgb255))
+}
+
+/**
+ * converts a gamut's rgb coordinates into extended srgb values
+ *
+ * @param {number[]} rgb
+ * @param {Gamut} gamut
+ * @returns {[r255: number, g255: number, b255: number]}
+ */
+export function gamut_to_rgb(rgb, gamut) {
+  return from_linear_srgb(GAMUT_CONVERSIONS[gamut].to_linear_srgb(rgb))
+}
+
+const IN_GAMUT_EPSILON = 0.000075
+
+/** @type {(rgb: number[]) => boolean} */
+const within = rgb => rgb.every(v => v >= -IN_GAMUT_EPSILON && v <= 1 + IN_GAMUT_EPSILON)
+/** @type {(rgb: number[]) => [number, number, number]} */
+const clip = rgb => /**@type{[number, number, number]}*/(rgb.map(v => Math.min(1, Math.max(0, v))))
+
+/**
+ * whether extended srgb values are within a gamut
+ *
+ * @param {number[]} rgb255
+ * @param {Gamut} gamut
+ * @returns {boolean}
+ */
+export function in_gamut(rgb255, gamut) {
+  return within(rgb_to_gamut(rgb255, gamut))
+}
+
+// just noticeable difference in ΔEOK, and search precision in oklch chroma
+const JND = 0.02
+const EPSILON = 0.0001
+
+/**
+ * maps extended srgb values into a gamut using the css color 4 gamut mapping algorithm:
+ *  reducing the color's oklch chroma (keeping lightness and hue) until clipping it
+ *  into the gamut is less than a just noticeable difference (ΔEOK = 0.02) away.
+ *
+ * @param {number[]} rgb255
+ * @param {Gamut} gamut
+ * @returns {[r: number, g: number, b: number]} the gamut's rgb coordinates, in [0, 1]
+ */
+export function gamut_map(rgb255, gamut) {
+  const { from_linear_srgb: to_gamut } = GAMUT_CONVERSIONS[gamut]
+  const origin = rgb_to_gamut(rgb255, gamut)
+  if (within(origin)) { return clip(origin) }
+
+  const [l, a, b] = linear_srgb_to_oklab(to_linear_srgb(rgb255))
+  if (l >= 1) { return [1, 1, 1] }
+  if (l <= 0) { return [0, 0, 0] }
+
+  const c = Math.hypot(a, b)
+  const h = Math.atan2(b, a)
+  /** @type {(c: number) => [number, number, number]} */
+  const oklab_at = c => [l, c * Math.cos(h), c * Math.sin(h)]
+  /** @type {(rgb: number[]) => [number, number, number]} */
+  const gamut_to_oklab = rgb => linear_srgb_to_oklab(GAMUT_CONVERSIONS[gamut].to_linear_srgb(rgb))
+  /** @type {(lab: number[]) => [number, number, number]} */
+  const oklab_to_gamut = lab => to_gamut(oklab_to_linear_srgb(lab))
+  /** @type {(lab0: number[], lab1: number[]) => number} */
+  const distance = ([l0, a0, b0], [l1, a1, b1]) => Math.hypot(l0 - l1, a0 - a1, b0 - b1)
+
+  let clipped = clip(origin)
+  if (distance(gamut_to_oklab(clipped), [l, a, b]) < JND) { return clipped }
+
+  let min = 0
+  let max = c
+  let min_in_gamut = true
+  while (max - min > EPSILON) {
+    const chroma = (min + max) / 2
+    const current = oklab_at(chroma)
+    const current_rgb = oklab_to_gamut(current)
+    if (min_in_gamut && within(current_rgb)) {
+      min = chroma
+      continue
+    }
+    clipped = clip(current_rgb)
+    const e = distance(gamut_to_oklab(clipped), current)
+    if (e < JND) {
+      if (JND - e < EPSILON) { return clipped }
+      min_in_gamut = false
+      min = chroma
+    } else {
+      max = chroma
+    }
+  }
+  return clipped
+}
+
+/**
+ * maps extended srgb values into a gamut by reducing their oklch chroma,
+ *  keeping their oklch lightness and hue exactly
+ *
+ * @param {number[]} rgb255
+ * @param {Gamut} gamut
+ * @returns {[r: number, g: number, b: number]} the gamut's rgb coordinates, in [0, 1]
+ */
+export function gamut_map_chroma(rgb255, gamut) {
+  const origin = rgb_to_gamut(rgb255, gamut)
+  if (within(origin)) { return clip(origin) }
+
+  const [l, a, b] = linear_srgb_to_oklab(to_linear_srgb(rgb255))
+  if (l >= 1) { return [1, 1, 1] }
+  if (l <= 0) { return [0, 0, 0] }
+
+  const c = Math.hypot(a, b)
+  /** @type {(k: number) => [number, number, number]} */
+  const rgb_at = k => GAMUT_CONVERSIONS[gamut].from_linear_srgb(oklab_to_linear_srgb([l, k * a, k * b]))
+
+  // search the fraction of chroma to keep
+  let min = 0
+  let max = 1
+  while ((max - min) * c > EPSILON) {
+    const k = (min + max) / 2
+    if (within(rgb_at(k))) { min = k } else { max = k }
+  }
+  return clip(rgb_at(min))
+}
+
+/**
+ * strategies for mapping colors outside of a gamut into it:
+ * - `clip`: clamps each rgb channel (what chroma-js does), which may shift hue and flatten ramps
+ * - `css`: css color 4 gamut mapping, reducing oklch chroma but allowing a just noticeable difference of clipping
+ * - `chroma`: reduces oklch chroma only, keeping oklch lightness and hue
+ *
+ * @satisfies {Record<string, (rgb255: number[], gamut: Gamut) => [number, number, number]>}
+ */
+export const GAMUT_MAPPINGS = {
+  clip: (rgb255, gamut) => clip(rgb_to_gamut(rgb255, gamut)),
+  css: gamut_map,
+  chroma: gamut_map_chroma,
+}
+
+/**
+ * perceptual distance (ΔEOK) between two colors given as extended srgb values
+ *
+ * @param {number[]} rgb255_0
+ * @param {number[]} rgb255_1
+ * @returns {number}
+ */
+export function delta_eok(rgb255_0, rgb255_1) {
+  const [l0, a0, b0] = linear_srgb_to_oklab(to_linear_srgb(rgb255_0))
+  const [l1, a1, b1] = linear_srgb_to_oklab(to_linear_srgb(rgb255_1))
+  return Math.hypot(l0 - l1, a0 - a1, b0 - b1)
+}
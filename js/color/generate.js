@@ -11,61 +11,238 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-import { round } from '../math/math.js'
-import { pipe } from '../utils/fn.js'
-import { contrast } from './contrast.js'
-import { color_scale } from './scale.js'
-import { to } from './chroma.js'
+import { contrast, contrast_algorithm } from './contrast.js'
+import { chroma, extended_rgb, to } from './chroma.js'
+import { composite } from './alpha.js'
+import { delta_eok } from './gamut.js'
 
 /**
- * generates a set of colors that satisfies a set of contrast ratios given a background color
+ * @typedef {keyof typeof SOLUTIONS} Solution
+ */
+
+/**
+ * @typedef {{
+ *  color: import('chroma-js').Color
+ *  position: number
+ *  contrast: number
+ *  reachable: boolean
+ * }} SwatchSolution
+ */
+
+/**
+ * @typedef {{
+ *  position: number
+ *  color: import('chroma-js').Color
+ * }} Candidate
+ */
+
+/**
+ * how to pick between several colors along a scale that reach the same contrast
+ *  (e.g. on either side of a bump in lightness),
+ *  as the one with the lowest score
+ * 
+ * - `nearest`: closest along the scale to the color with the least contrast against the background
+ * - `chromatic`: the most chromatic (in oklch)
+ * - `key-color`: closest (ΔEOK) to one of the color's key colors
+ * 
+ * @satisfies {Record<string, (candidate: Candidate, context: { closest_position: number, key_colors: string[] }) => number>}
+ */
+export const SOLUTIONS = {
+  'nearest': ({ position }, { closest_position }) => Math.abs(position - closest_position),
+  'chromatic': ({ color }) => -(to.oklch(color)[1] || 0),
+  'key-color': ({ color }, { key_colors }) => Math.min(...key_colors.map(k => delta_eok(extended_rgb(color), chroma(k).rgb()))),
+}
+
+/**
+ * generates a set of colors that satisfies a set of contrast ratios given a background color.
+ * 
+ * contrast is sampled along the color's scale and split into segments along which it only rises or falls.
+ * every segment spanning a ratio has a solution, found by bisection;
+ *  the color's `solution` picks which one to use.
+ * ratios no segment spans can't be reached with this color and background:
+ *  they get the color closest to them instead, and aren't `reachable`
+ *  (unless within the contrast algorithm's tolerance).
+ * contrast is measured on colors as they're emitted in `gamut` (see `output_gamut`)
+ * 
  * @param {import('./color.js').Color} color 
  * @param {[r: number, g: number, b: number]} bg_rgb_arr 
  * @param {number} base_v 
  * @param {number[]} ratio_values 
- * @param {import('./contrast.js').ContrastAlgorithm} contrast_algorithm 
- * @param {number} [granularity=3000] 
- * @returns {import('chroma-js').Color[]}
+ * @param {import('./contrast.js').ContrastAlgorithm} algorithm 
+ * @param {{ granularity?: number, samples?: number, gamut?: import('./gamut.js').Gamut }} [opts] 
+ * @returns {SwatchSolution[]}
  */
-export function generate_colors(color, bg_rgb_arr, base_v, ratio_values, contrast_algorithm, granularity = 3000) {
-  const scale = color.get_color_scale(granularity)
-
-  /** @type {Map<number, number>} */
-  const cache = new Map()
-  /** @type {(i: number) => number} */
-  function contrast_at(i) {
-    if (cache.has(i)) { return cache.get(i) }
-    // const rgb = to.rgb(chroma(scale(i)))
-    const rgb = to.rgb(scale(i))
-    const c = contrast(rgb, bg_rgb_arr, base_v, contrast_algorithm)
-    cache.set(i, c)
-    return c
-  }
+export function generate_colors(color, bg_rgb_arr, base_v, ratio_values, algorithm, { granularity = 3000, samples = 200, gamut = 'srgb' } = {}) {
+  const { scale, contrast_at, sampled } = sample_contrast(color, bg_rgb_arr, base_v, algorithm, granularity, samples, gamut)
+  const { tolerance } = contrast_algorithm(algorithm)
 
-  const first = contrast_at(0)
-  const last = contrast_at(granularity)
-  const dir = first < last ? 1 : -1
-  const eps = 0.01
+  const segments = monotonic_segments(sampled)
+  const closest_position = sampled.reduce((a, b) => Math.abs(b.c) < Math.abs(a.c) ? b : a).i / granularity
+  const score = SOLUTIONS[color.solution]
+  const context = { closest_position, key_colors: color.resolved_key_colors }
 
-  /** @type {(ratio: number) => number} */
-  function search(ratio) {
+  /** @type {(ratio: number) => SwatchSolution} */
+  function solve(ratio) {
     // nudge up target ratio by tiny amount
     const x = ratio + 0.005 * Math.sign(ratio)
 
-    let step = granularity / 2
-    let dot = step
-    let c = contrast_at(dot)
+    /** @type {(Candidate & { contrast: number })[]} */
+    const candidates = segments
+      .filter(([a, b]) => Math.min(a.c, b.c) <= x && x <= Math.max(a.c, b.c))
+      .map(([a, b]) => {
+        const { i, c } = bisect(contrast_at, a, b, x)
+        return { position: i / granularity, color: scale(i), contrast: c }
+      })
+
+    if (!candidates.length) {
+      const { i, c } = sampled.reduce((a, b) => Math.abs(b.c - x) < Math.abs(a.c - x) ? b : a)
+      return { color: scale(i), position: i / granularity, contrast: c, reachable: Math.abs(c - ratio) <= tolerance }
+    }
+
+    const best = candidates
+      .map(candidate => ({ ...candidate, score: score(candidate, context) }))
+      .reduce((a, b) => b.score < a.score ? b : a)
+    return { color: best.color, position: best.position, contrast: best.contrast, reachable: true }
+  }
+
+  return ratio_values.map(solve)
+}
+
+/**
+ * the range of contrast that can be reached along a color's scale against a background.
+ * as it's sampled, the range is rounded inwards (to 2 decimals), so that both ends can be reached
+ * 
+ * @param {import('./color.js').Color} color 
+ * @param {[r: number, g: number, b: number]} bg_rgb_arr 
+ * @param {number | undefined} base_v 
+ * @param {import('./contrast.js').ContrastAlgorithm} algorithm 
+ * @param {{ granularity?: number, samples?: number, gamut?: import('./gamut.js').Gamut }} [opts] 
+ * @returns {ContrastRange}
+ */
+export function contrast_range(color, bg_rgb_arr, base_v, algorithm, { granularity = 3000, samples = 200, gamut = 'srgb' } = {}) {
+  const { sampled } = sample_contrast(color, bg_rgb_arr, base_v, algorithm, granularity, samples, gamut)
+  const cs = sampled.map(({ c }) => c)
+  return {
+    min: Math.ceil(Math.min(...cs) * 100) / 100,
+    max: Math.floor(Math.max(...cs) * 100) / 100,
+  }
+}
+
+/**
+ * the reachable ratio closest to a target ratio
+ * 
+ * @param {ContrastRange} range 
+ * @param {number} ratio 
+ * @returns {number}
+ */
+export function nearest_reachable({ min, max }, ratio) {
+  return Math.min(max, Math.max(min, ratio))
+}
+
+/**
+ * @typedef {{ min: number, max: number }} ContrastRange
+ */
+
+/**
+ * what a theme does with target ratios that can't be reached:
+ *  nothing (they're still flagged by audits), log a warning, or throw an error
+ * 
+ * @typedef {typeof UNREACHABLE_POLICIES[number]} UnreachablePolicy
+ */
+export const UNREACHABLE_POLICIES = /**@type{const}*/(['ignore', 'warn', 'throw'])
+
+/**
+ * samples contrast against the background evenly along the scale swatches of a color are searched along
+ * 
+ * @param {import('./color.js').Color} color 
+ * @param {[r: number, g: number, b: number]} bg_rgb_arr 
+ * @param {number | undefined} base_v 
+ * @param {import('./contrast.js').ContrastAlgorithm} algorithm 
+ * @param {number} granularity 
+ * @param {number} samples 
+ * @param {import('./gamut.js').Gamut} gamut 
+ */
+function sample_contrast(color, bg_rgb_arr, base_v, algorithm, granularity, samples, gamut) {
+  const scale = swatch_scale(color, granularity)
+
+  /** @type {(i: number) => number} */
+  function contrast_at(i) {
+    // translucent swatches are seen composited over the background
+    const rgb = composite(scale(i), bg_rgb_arr, gamut)
+    return contrast(rgb, bg_rgb_arr, base_v, algorithm)
+  }
 
-    let max_iters = 100
-    while (Math.abs(c - x) > eps && max_iters) {
-      max_iters -= 1
-      step /= 2
-      dot += (c < x ? 1 : -1) * step * dir
-      c = contrast_at(dot)
+  const sampled = Array.from({ length: samples + 1 }, (_, k) => {
+    const i = k / samples * granularity
+    return { i, c: contrast_at(i) }
+  })
+  return { scale, contrast_at, sampled }
+}
+
+/**
+ * splits samples of contrast along a scale into segments along which contrast only rises or falls,
+ *  as [start, end] pairs of samples. neighbouring segments share the sample they turn at
+ * 
+ * @param {{ i: number, c: number }[]} sampled 
+ * @returns {[{ i: number, c: number }, { i: number, c: number }][]}
+ */
+function monotonic_segments(sampled) {
+  /** @type {[{ i: number, c: number }, { i: number, c: number }][]} */
+  const segments = []
+  let start = 0, dir = 0
+  for (let k = 1; k < sampled.length; ++k) {
+    const d = Math.sign(sampled[k].c - sampled[k - 1].c)
+    if (d && dir && d !== dir) {
+      segments.push([sampled[start], sampled[k - 1]])
+      start = k - 1
     }
+    if (d) { dir = d }
+  }
+  segments.push([sampled[start], sampled.at(-1)])
+  return segments
+}
 
-    return round(dot, 3)
+/**
+ * finds where contrast reaches x between two samples it rises or falls between
+ * 
+ * @param {(i: number) => number} contrast_at 
+ * @param {{ i: number, c: number }} a 
+ * @param {{ i: number, c: number }} b 
+ * @param {number} x 
+ * @returns {{ i: number, c: number }}
+ */
+function bisect(contrast_at, a, b, x) {
+  const eps = 0.01
+  const dir = a.c < b.c ? 1 : -1
+  let lo = a.i, hi = b.i
+  let i = lo, c = a.c
+  for (let iter = 0; iter < 40; ++iter) {
+    i = (lo + hi) / 2
+    c = contrast_at(i)
+    if (Math.abs(c - x) <= eps || hi - lo < 1e-3) { break }
+    if ((c < x) === (dir > 0)) { lo = i } else { hi = i }
   }
+  return { i, c }
+}
 
-  return ratio_values.map(pipe(search, scale))
-}
\ No newline at end of file
+/**
+ * the scale the swatches of a color are searched along, depending on its alpha:
+ * - opaque colors: the color scale
+ * - fixed alpha: the color scale, at that alpha
+ * - variable alpha: the first key color, from fully transparent to opaque
+ * @param {import('./color.js').Color} color 
+ * @param {number} granularity 
+ * @returns {(i: number) => import('chroma-js').Color}
+ */
+function swatch_scale(color, granularity) {
+  const { alpha } = color
+  if (alpha === 'variable') {
+    const base = chroma(color.resolved_key_colors[0])
+    return i => base.alpha(i / granularity)
+  }
+
+  const scale = color.get_color_scale(granularity)
+  if (alpha === null) { return scale }
+  // keep values outside of the srgb gamut, which `.alpha()` would clip
+  return i => chroma.rgb(...extended_rgb(scale(i)), alpha)
+}
@@ -0,0 +1,162 @@
+import { is_nan } from '../math/math.js'
+import { seeded_random } from '../math/random.js'
+import { assert } from '../utils/assert.js'
+import { chroma, from, to, to_srgb_gamut } from './chroma.js'
+import { Color } from './color.js'
+import { HUE_INTERPOLATIONS } from './interpolate.js'
+
+/**
+ * @typedef {keyof typeof HARMONIES} Harmony
+ */
+
+/**
+ * @typedef {keyof typeof HARMONY_SPACES} HarmonySpace
+ */
+
+/**
+ * harmony rules, as the hues (in degrees, relative to the brand color's hue) that harmonize with the brand color
+ *
+ * @satisfies {Record<string, number[]>}
+ */
+export const HARMONIES = {
+  'complementary': [180],
+  'analogous': [-30, 30],
+  'triadic': [120, 240],
+  'split-complementary': [150, 210],
+  'tetradic': [90, 180, 270],
+}
+
+/**
+ * @typedef {{ hue: number, chroma: number, tone: number }} Hct
+ */
+
+/**
+ * perceptual polar color spaces harmonies are worked out in, as hue, chroma and tone (i.e. lightness).
+ * `neutral_chroma` is the most chroma a neutral tinted towards the brand color gets,
+ *  and brand colors with less than `achromatic_chroma` are greys, whose hue is meaningless
+ *  (hct gives greys some chroma and a hue, as its white point differs slightly from srgb's)
+ *
+ * @satisfies {Record<string, { to: (color: import('chroma-js').Color) => Hct, from: (hct: Hct) => import('chroma-js').Color, neutral_chroma: number, achromatic_chroma: number }>}
+ */
+export const HARMONY_SPACES = {
+  oklch: {
+    to: color => {
+      const [tone, c, hue] = to.oklch(color)
+      return { hue, chroma: c, tone }
+    },
+    from: ({ hue, chroma, tone }) => from.oklch(tone, chroma, hue),
+    neutral_chroma: 0.015,
+    achromatic_chroma: 0.01,
+  },
+  hct: {
+    to: color => {
+      const [hue, c, tone] = to.hct(color)
+      return { hue, chroma: c, tone }
+    },
+    from: ({ hue, chroma, tone }) => from.hct(hue, chroma, tone),
+    neutral_chroma: 4,
+    achromatic_chroma: 4,
+  },
+}
+
+/**
+ * conventional colors for status, whose hues are harmonized with the brand color
+ *  (keeping their own chroma and tone, so they stay recognizable)
+ */
+const STATUS_COLORS = {
+  success: '#16a34a',
+  warning: '#f59e0b',
+  danger: '#dc2626',
+  info: '#2563eb',
+}
+
+/** how far (in degrees) status hues are rotated towards a harmonizing hue, at most */
+const MAX_HARMONIZING_ROTATION = 15
+
+/** APCA Lc, for the default (`wcag3`) contrast algorithm of `Theme` */
+const DEFAULT_RATIOS = [15, 30, 45, 60, 75, 90]
+
+/**
+ * generates a harmonious set of colors from a single brand color:
+ * - `brand`: the brand color itself
+ * - `neutral`: a grey, tinted towards the brand color's hue
+ * - `accent`: the brand color's chroma and tone, at one of the hues the harmony rule gives
+ * - `success`, `warning`, `danger`, `info`: conventional status colors, with hues rotated towards the nearest harmonizing hue
+ *
+ * `seed` picks between the harmony's hues for the accent, and varies every hue by up to `variation` degrees;
+ *  the same brand color, options and seed always give the same colors.
+ * generated colors interpolate through `space`, and are ready to go into a `Theme`
+ *
+ * @example
+ * ```
+ * const colors = harmonious_colors('#6750a4', { harmony: 'triadic', seed: 7, ratios: [3, 4.5, 7] })
+ * const theme = new Theme({ colors, background_color: colors[1], algorithm: 'wcag2' })
+ * ```
+ *
+ * @param {string} brand
+ * @param {{
+ *  harmony?: Harmony
+ *  space?: HarmonySpace
+ *  seed?: number
+ *  variation?: number
+ *  ratios?: number[] | Record<string, number>
+ * }} [opts] -- `ratios`: target ratios of every color (APCA Lc by default)
+ * @returns {Color[]}
+ */
+export function harmonious_colors(brand, { harmony = 'complementary', space = 'oklch', seed = 0, variation = 5, ratios = DEFAULT_RATIOS } = {}) {
+  assert(typeof brand === 'string' && chroma.valid(brand), `unrecognized brand color "${brand}"`)
+  assert(HARMONIES.hasOwnProperty(harmony), `harmony "${harmony}" not supported`)
+  assert(HARMONY_SPACES.hasOwnProperty(space), `harmony color space "${space}" not supported`)
+  assert(Number.isInteger(seed), `seed should be an integer`)
+  assert(typeof variation === 'number' && variation >= 0, `variation should be a non-negative number`)
+
+  const { to: to_space, from: from_space, neutral_chroma, achromatic_chroma } = HARMONY_SPACES[space]
+  const random = seeded_random(seed)
+  /** @type {(hue: number) => number} */
+  const vary = hue => normalize_hue(hue + (random() * 2 - 1) * variation)
+
+  const base = to_space(chroma(brand))
+  // greys have no hue to harmonize with
+  const hue = is_nan(base.hue) || base.chroma < achromatic_chroma ? null : base.hue
+  const harmonizing = hue === null ? [] : [hue, ...HARMONIES[harmony].map(d => normalize_hue(hue + d))]
+
+  const accent_hue = hue === null
+    ? null
+    : harmonizing[1 + Math.floor(random() * HARMONIES[harmony].length)]
+
+  /** @type {(name: string, hct: Hct) => Color} */
+  const color = (name, hct) => new Color({
+    name,
+    key_colors: [to.hex(to_srgb_gamut(from_space(hct)))],
+    color_space: space,
+    ratios: structuredClone(ratios),
+  })
+
+  return [
+    new Color({ name: 'brand', key_colors: [brand], color_space: space, ratios: structuredClone(ratios) }),
+    color('neutral', { hue: hue ?? 0, chroma: hue === null ? 0 : Math.min(base.chroma, neutral_chroma), tone: base.tone }),
+    color('accent', accent_hue === null ? base : { ...base, hue: vary(accent_hue) }),
+    ...Object.entries(STATUS_COLORS).map(([name, c]) => {
+      const status = to_space(chroma(c))
+      return color(name, { ...status, hue: vary(harmonize(status.hue, harmonizing)) })
+    }),
+  ]
+}
+
+/**
+ * rotates a hue towards the nearest of a set of hues, by half the way there (and at most `MAX_HARMONIZING_ROTATION`)
+ *
+ * @param {number} hue
+ * @param {number[]} towards
+ * @returns {number}
+ */
+function harmonize(hue, towards) {
+  if (!towards.length) { return hue }
+  const d = towards
+    .map(h => HUE_INTERPOLATIONS.shorter(hue, h))
+    .reduce((a, b) => Math.abs(b) < Math.abs(a) ? b : a)
+  return normalize_hue(hue + Math.sign(d) * Math.min(Math.abs(d) / 2, MAX_HARMONIZING_ROTATION))
+}
+
+/** @type {(hue: number) => number} */
+const normalize_hue = hue => ((hue % 360) + 360) % 360
@@ -0,0 +1,148 @@
+import { assert } from '../utils/assert.js'
+import { chroma, extended_rgb, from, in_viewing_conditions, to } from './chroma.js'
+import { COLOR_SPACES, INTERPOLATION_COLOR_SPACES } from './space.js'
+
+/**
+ * @typedef {keyof typeof HUE_INTERPOLATIONS} HueInterpolation
+ */
+
+/**
+ * maps progress between two colors, in [0, 1], to how far along to go (0 and 1 should map to themselves)
+ * 
+ * @typedef {(t: number) => number} Easing
+ */
+
+/**
+ * how to go around the hue circle between two hues, as in css color 4.
+ * given two hues in degrees, gives the (signed) hue difference to travel
+ *
+ * @see https://www.w3.org/TR/css-color-4/#hue-interpolation
+ *
+ * @satisfies {Record<string, (h0: number, h1: number) => number>}
+ */
+export const HUE_INTERPOLATIONS = {
+  shorter: (h0, h1) => {
+    const d = h1 - h0
+    return d > 180 ? d - 360 : d < -180 ? d + 360 : d
+  },
+  longer: (h0, h1) => {
+    const d = h1 - h0
+    return 0 < d && d < 180 ? d - 360 : -180 < d && d <= 0 ? d + 360 : d
+  },
+  increasing: (h0, h1) => {
+    const d = h1 - h0
+    return d < 0 ? d + 360 : d
+  },
+  decreasing: (h0, h1) => {
+    const d = h1 - h0
+    return d > 0 ? d - 360 : d
+  },
+}
+
+/**
+ * @typedef {{
+ *  coords: (color: import('chroma-js').Color) => number[]
+ *  hue?: number
+ *  prepare?: (c0: number[], c1: number[], color0: import('chroma-js').Color, color1: import('chroma-js').Color) => void
+ * }} SpaceInterpolation
+ */
+
+/**
+ * for polar spaces without a hue for greys (NaN),
+ *  interpolating from a grey whose lightness/value (`lbv` coordinate) is one of `ends` (i.e. black or white)
+ *  keeps the chroma/saturation of the other color, rather than fading it in.
+ * this mirrors chroma-js' interpolation in hsl, lch and oklch
+ *  (which, for lch, only applies to black, as it checks for a lightness of 0 or 1)
+ *
+ * @type {(sat: number, lbv: number, hue: number, ends: number[]) => SpaceInterpolation['prepare']}
+ */
+const keep_saturation_from_ends = (sat, lbv, hue, ends) => (c0, c1) => {
+  if (!Number.isNaN(c0[hue]) && Number.isNaN(c1[hue]) && ends.includes(c1[lbv])) { c1[sat] = c0[sat] }
+  if (Number.isNaN(c0[hue]) && !Number.isNaN(c1[hue]) && ends.includes(c0[lbv])) { c0[sat] = c1[sat] }
+}
+
+/**
+ * for polar spaces that give greys some arbitrary hue,
+ *  greys (as judged by `is_grey`) take the hue of the other color
+ *
+ * @type {(hue: number, is_grey: (color: import('chroma-js').Color, coords: number[]) => boolean) => SpaceInterpolation['prepare']}
+ */
+const take_hue_for_greys = (hue, is_grey) => (c0, c1, color0, color1) => {
+  if (is_grey(color0, c0)) { c0[hue] = c1[hue] }
+  if (is_grey(color1, c1)) { c1[hue] = c0[hue] }
+}
+
+/** @type {(color: import('chroma-js').Color) => boolean} */
+const no_hsl_hue = color => Number.isNaN(color.hsl()[0])
+
+/**
+ * how to interpolate in each color space: which coordinates to interpolate,
+ *  which one of them is a hue (if any), and how to handle greys.
+ * greys in hsl, hsv, lch and oklch have a NaN hue, and take the other color's hue
+ *
+ * @type {Record<import('./space.js').InterpolationColorSpace, SpaceInterpolation>}
+ */
+const SPACE_INTERPOLATIONS = {
+  rgb:    { coords: extended_rgb },
+  hsl:    { coords: to.hsl, hue: 0, prepare: keep_saturation_from_ends(1, 2, 0, [0, 1]) },
+  hsv:    { coords: to.hsv, hue: 0 },
+  hsluv:  {
+    coords: to.hsluv,
+    hue: 0,
+    prepare: (c0, c1, color0, color1) => {
+      take_hue_for_greys(0, (_, [__, s]) => s < 1e-10)(c0, c1, color0, color1)
+      // black or white
+      if (c0[1] === 0) { c0[1] = c1[1] }
+      if (c1[1] === 0) { c1[1] = c0[1] }
+    },
+  },
+  lab:    { coords: to.lab },
+  lch:    { coords: to.lch, hue: 2, prepare: keep_saturation_from_ends(1, 0, 2, [0, 1]) },
+  oklab:  { coords: to.oklab },
+  oklch:  { coords: to.oklch, hue: 2, prepare: keep_saturation_from_ends(1, 0, 2, [0, 1]) },
+  cam02:  { coords: to.cam02jab },
+  cam02p: { coords: to.cam02jch, hue: 2, prepare: take_hue_for_greys(2, no_hsl_hue) },
+  cam16:  { coords: to.cam16jab },
+  cam16p: { coords: to.cam16jch, hue: 2, prepare: take_hue_for_greys(2, no_hsl_hue) },
+  hct:    { coords: to.hct, hue: 0, prepare: take_hue_for_greys(0, no_hsl_hue) },
+}
+
+/**
+ * interpolates between two colors in a color space,
+ *  going around the hue circle as specified for polar color spaces.
+ * an `easing` (or one per coordinate of the color space) bends how each coordinate progresses.
+ * `viewing_conditions` set how colors are seen in the spaces of color appearance models (`cam02`, `cam02p`, `cam16`, `cam16p` and `hct`).
+ * colors outside of the srgb gamut keep their extended srgb values (see `gamut.js`)
+ *
+ * @param {string | import('chroma-js').Color} color0
+ * @param {string | import('chroma-js').Color} color1
+ * @param {number} t -- in [0, 1]
+ * @param {import('./space.js').InterpolationColorSpace} color_space
+ * @param {{ hue?: HueInterpolation, easing?: Easing | [Easing, Easing, Easing], viewing_conditions?: import('./viewing.js').ViewingConditions | null }} [opts]
+ * @returns {import('chroma-js').Color}
+ */
+export function interpolate(color0, color1, t, color_space, { hue = 'shorter', easing = undefined, viewing_conditions = null } = {}) {
+  assert(INTERPOLATION_COLOR_SPACES.hasOwnProperty(color_space), `color space ${color_space} not supported`)
+  assert(HUE_INTERPOLATIONS.hasOwnProperty(hue), `hue interpolation "${hue}" not supported`)
+
+  const [col0, col1] = [chroma(color0), chroma(color1)]
+  const space = COLOR_SPACES[color_space]
+  const viewed = viewing_conditions === null ? null : in_viewing_conditions(viewing_conditions)
+  const { hue: h, prepare } = SPACE_INTERPOLATIONS[color_space]
+  const coords = viewed?.to[space] ?? SPACE_INTERPOLATIONS[color_space].coords
+  const [c0, c1] = [[...coords(col0)], [...coords(col1)]]
+  prepare?.(c0, c1, col0, col1)
+
+  const xs = c0.map((x0, i) => {
+    const x1 = c1[i]
+    const ease = Array.isArray(easing) ? easing[i] : easing
+    const t_i = ease ? ease(t) : t
+    if (i !== h) { return x0 + t_i * (x1 - x0) }
+    if (Number.isNaN(x0)) { return x1 }
+    if (Number.isNaN(x1)) { return x0 }
+    return x0 + t_i * HUE_INTERPOLATIONS[hue](x0, x1)
+  })
+
+  const alpha = col0.alpha() + t * (col1.alpha() - col0.alpha())
+  return chroma.rgb(...extended_rgb((viewed?.from[space] ?? from[space])(...xs)), alpha)
+}
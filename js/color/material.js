@@ -0,0 +1,165 @@
+import { yFromLstar } from '@material/material-color-utilities'
+
+import { assert } from '../utils/assert.js'
+import { chroma, from, to } from './chroma.js'
+import { Color } from './color.js'
+import { fmt_color } from './fmt.js'
+import { generate_colors } from './generate.js'
+
+/**
+ * @typedef {typeof MATERIAL_PALETTES[number]} MaterialPalette
+ */
+
+/**
+ * @typedef {keyof typeof MATERIAL_ROLES} MaterialRole
+ */
+
+/** the tones of a material 3 tonal palette */
+export const MATERIAL_TONES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100]
+
+/** the tonal palettes a material 3 scheme is made of */
+export const MATERIAL_PALETTES = /**@type{const}*/(['primary', 'secondary', 'tertiary', 'error', 'neutral', 'neutral_variant'])
+
+/**
+ * material 3 scheme roles, as the palette they come from and their tone in light and dark schemes
+ *
+ * @see https://m3.material.io/styles/color/roles
+ *
+ * @satisfies {Record<string, [palette: MaterialPalette, light: number, dark: number]>}
+ */
+export const MATERIAL_ROLES = {
+  primary: ['primary', 40, 80],
+  onPrimary: ['primary', 100, 20],
+  primaryContainer: ['primary', 90, 30],
+  onPrimaryContainer: ['primary', 10, 90],
+  inversePrimary: ['primary', 80, 40],
+  secondary: ['secondary', 40, 80],
+  onSecondary: ['secondary', 100, 20],
+  secondaryContainer: ['secondary', 90, 30],
+  onSecondaryContainer: ['secondary', 10, 90],
+  tertiary: ['tertiary', 40, 80],
+  onTertiary: ['tertiary', 100, 20],
+  tertiaryContainer: ['tertiary', 90, 30],
+  onTertiaryContainer: ['tertiary', 10, 90],
+  error: ['error', 40, 80],
+  onError: ['error', 100, 20],
+  errorContainer: ['error', 90, 30],
+  onErrorContainer: ['error', 10, 90],
+  background: ['neutral', 99, 10],
+  onBackground: ['neutral', 10, 90],
+  surface: ['neutral', 99, 10],
+  onSurface: ['neutral', 10, 90],
+  inverseSurface: ['neutral', 20, 90],
+  inverseOnSurface: ['neutral', 95, 20],
+  surfaceVariant: ['neutral_variant', 90, 30],
+  onSurfaceVariant: ['neutral_variant', 30, 80],
+  outline: ['neutral_variant', 50, 60],
+  outlineVariant: ['neutral_variant', 80, 30],
+  shadow: ['neutral', 0, 0],
+  scrim: ['neutral', 0, 0],
+}
+
+/**
+ * key color tones sampled from material's tonal palettes: its own tones, so that swatches at them land on material's colors
+ *  (rather than on colors interpolated between fewer keys, which lose chroma where material keeps it)
+ */
+const KEY_TONES = MATERIAL_TONES.filter(t => 0 < t && t < 100)
+
+/** APCA Lc, for the default (`wcag3`) contrast algorithm of `Theme` */
+const DEFAULT_RATIOS = [15, 30, 45, 60, 75, 90]
+
+const BLACK = /**@type{[r: number, g: number, b: number]}*/([0, 0, 0])
+
+/**
+ * the wcag 2 contrast ratio against black of a tone (cie L*).
+ * as luminance only depends on tone, a swatch at this ratio has exactly this tone
+ *
+ * @param {number} tone
+ * @returns {number}
+ */
+const tone_ratio = tone => (yFromLstar(tone) / 100 + 0.05) / 0.05
+
+/**
+ * a material 3 tonal palette of a color: swatches along the color's scale at each tone,
+ *  placed by their contrast (as `Theme` places swatches), keyed by tone.
+ * tones 0 and 100 are black and white, whatever the color, as in material.
+ * for colors from `material_colors`, swatches match material's colors up to the contrast solver's precision
+ *  (within half a tone, usually a step of a channel)
+ *
+ * @param {Color} color
+ * @param {{
+ *  tones?: number[]
+ *  output_format?: import('./space.js').OutputColorSpace
+ * }} [opts]
+ * @returns {Record<number, string>}
+ */
+export function tonal_palette(color, { tones = MATERIAL_TONES, output_format = 'hex' } = {}) {
+  assert(color instanceof Color, `tonal palette needs a Color`)
+  assert(tones.every(t => 0 <= t && t <= 100), `tones should be within [0, 100]`)
+  // the ends of a color's scale don't quite reach black and white, so they're not solved for
+  const solved = tones.filter(t => 0 < t && t < 100)
+  // `generate_colors` nudges ratios up slightly; undo it, so that swatches land on their tone
+  const solutions = generate_colors(color, BLACK, 0, solved.map(t => tone_ratio(t) - 0.005), 'wcag2')
+  const swatches = new Map(solved.map((tone, i) => [tone, solutions[i].color]))
+  return Object.fromEntries(tones.map(tone => [tone, fmt_color(swatches.get(tone) ?? (tone === 0 ? '#000000' : '#ffffff'), output_format)]))
+}
+
+/**
+ * derives the colors of a material 3 scheme's tonal palettes from a source color, the way material does:
+ *  the source's hue with (at least) 48 chroma for `primary`, 16 for `secondary`, rotated 60° with 24 chroma for `tertiary`,
+ *  4 and 8 chroma for `neutral` and `neutral_variant`, and a fixed red for `error`.
+ * colors interpolate through `hct`, and are ready to go into a `Theme` or to be replaced by your own
+ *
+ * @param {string} source
+ * @param {{ ratios?: number[] | Record<string, number> }} [opts] -- `ratios`: target ratios of every color (APCA Lc by default)
+ * @returns {Record<MaterialPalette, Color>}
+ */
+export function material_colors(source, { ratios = DEFAULT_RATIOS } = {}) {
+  assert(typeof source === 'string' && chroma.valid(source), `unrecognized source color "${source}"`)
+  const [hue, c] = to.hct(chroma(source))
+
+  /** @type {Record<MaterialPalette, [hue: number, chroma: number]>} */
+  const palettes = {
+    primary: [hue, Math.max(48, c)],
+    secondary: [hue, 16],
+    tertiary: [(hue + 60) % 360, 24],
+    error: [25, 84],
+    neutral: [hue, 4],
+    neutral_variant: [hue, 8],
+  }
+  return /**@type{Record<MaterialPalette, Color>}*/(Object.fromEntries(
+    Object.entries(palettes).map(([name, [h, c]]) => [name, new Color({
+      name,
+      key_colors: KEY_TONES.map(t => to.hex(from.hct(h, c, t))),
+      color_space: 'hct',
+      ratios: structuredClone(ratios),
+    })])
+  ))
+}
+
+/**
+ * a material 3 scheme: colors for every material role (e.g. `primary`, `onPrimary`, `primaryContainer`), keyed by role.
+ * roles are swatches of their palette's color at a fixed tone (see `MATERIAL_ROLES`), as in material's baseline scheme
+ *
+ * @param {Record<MaterialPalette, Color>} palettes
+ * @param {{
+ *  dark?: boolean
+ *  output_format?: import('./space.js').OutputColorSpace
+ * }} [opts]
+ * @returns {Record<MaterialRole, string>}
+ */
+export function material_scheme(palettes, { dark = false, output_format = 'hex' } = {}) {
+  for (const palette of MATERIAL_PALETTES) {
+    assert(palettes[palette] instanceof Color, `material scheme is missing a color for palette "${palette}"`)
+  }
+  const roles = Object.entries(MATERIAL_ROLES).map(([role, [palette, light, dark_]]) => /**@type{const}*/([role, palette, dark ? dark_ : light]))
+
+  // only generate the tones used by the scheme, once per palette
+  const tones = Object.fromEntries(MATERIAL_PALETTES.map(palette => {
+    const ts = [...new Set(roles.filter(([, p]) => p === palette).map(([, , tone]) => tone))]
+    return [palette, tonal_palette(palettes[palette], { tones: ts, output_format })]
+  }))
+  return /**@type{Record<MaterialRole, string>}*/(Object.fromEntries(
+    roles.map(([role, palette, tone]) => [role, tones[palette][tone]])
+  ))
+}
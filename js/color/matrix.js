@@ -0,0 +1,124 @@
+import { assert } from '../utils/assert.js'
+import { chroma, to } from './chroma.js'
+import { CONTRAST_ALGORITHMS, contrast } from './contrast.js'
+import { APCA_LEVELS, WCAG2_LEVELS } from './audit.js'
+import { composite } from './alpha.js'
+
+/**
+ * @typedef {{
+ *  algorithm: import('./contrast.js').ContrastAlgorithm
+ *  names: string[]
+ *  contrasts: Record<string, Record<string, number>>
+ * }} ContrastMatrix
+ */
+
+/**
+ * the levels swatches are grouped by under each contrast algorithm,
+ *  from strictest to loosest:
+ *  wcag 2.x conformance levels for `wcag2` and `bpca` (which is wcag 2.x-compatible), APCA use cases for `wcag3`
+ * 
+ * @type {Partial<Record<import('./contrast.js').ContrastAlgorithm, [string, number][]>>}
+ */
+const MATRIX_LEVELS = {
+  wcag2: WCAG2_LEVELS,
+  bpca: WCAG2_LEVELS,
+  wcag3: APCA_LEVELS,
+}
+
+/**
+ * @param {import('./contrast.js').ContrastAlgorithm} algorithm 
+ * @returns {[string, number][]}
+ */
+function matrix_levels(algorithm) {
+  const levels = MATRIX_LEVELS[algorithm]
+  assert(levels, `no levels defined for contrast algorithm "${algorithm}". supported algorithms: ${Object.keys(MATRIX_LEVELS).map(a => `"${a}"`).join(', ')}`)
+  return levels
+}
+
+/**
+ * computes the contrast of every swatch in a palette against every other swatch in it
+ *  (including the background), i.e. `contrasts[foreground][background]`.
+ * 
+ * the palette's values must be parseable colors,
+ *  so palettes should be generated in `hex` or `rgb` (e.g. `theme.palette('hex')`).
+ * 
+ * @param {import('../theme.js').Palette} palette 
+ * @param {import('./contrast.js').ContrastAlgorithm} [algorithm='wcag3']
+ * @returns {ContrastMatrix}
+ */
+export function contrast_matrix(palette, algorithm = 'wcag3') {
+  assert(CONTRAST_ALGORITHMS.has(algorithm), `contrast algorithm "${algorithm}" not supported`)
+
+  const entries = Object.entries(palette.color_pairs).map(([name, value]) => {
+    assert(chroma.valid(value), `swatch "${name}" has unparseable value "${value}". generate the palette in hex, or rgb if it has no translucent swatches (e.g. \`theme.palette('hex')\`)`)
+    return [name, chroma(value)]
+  })
+
+  // translucent swatches are seen composited over the palette's background,
+  //  and translucent foregrounds over the (composited) swatch they are on
+  const bg_rgb_arr = to.rgb(chroma(palette.color_pairs.background))
+  const contrasts = Object.fromEntries(entries.map(([fg, fg_color]) => [
+    fg,
+    Object.fromEntries(entries.map(([bg, bg_color]) => {
+      const bg_rgb = composite(bg_color, bg_rgb_arr)
+      return [bg, contrast(composite(fg_color, bg_rgb), bg_rgb, undefined, algorithm)]
+    })),
+  ]))
+
+  return { algorithm, names: entries.map(([name]) => name), contrasts }
+}
+
+/**
+ * groups the swatches that can be used on top of a background swatch by level
+ *  (wcag 2.x conformance level for `wcag2` and `bpca`; APCA use case for `wcag3`).
+ * swatches that don't meet any level are grouped under `fail`.
+ * 
+ * @example
+ * ```
+ * levels_on(matrix, 'gray200')
+ * // { fluent: ['blue600'], body: ['gray500'], content: [], ..., fail: ['gray100'] }
+ * ```
+ * 
+ * @param {ContrastMatrix} matrix 
+ * @param {string} background -- name of the background swatch
+ * @returns {Record<string, string[]>}
+ */
+export function levels_on(matrix, background) {
+  assert(matrix.names.includes(background), `swatch "${background}" not in contrast matrix`)
+  const levels = matrix_levels(matrix.algorithm)
+
+  /** @type {Record<string, string[]>} */
+  const groups = Object.fromEntries(levels.map(([level]) => [level, []]).concat([['fail', []]]))
+  matrix.names
+    .filter(fg => fg !== background)
+    .forEach(fg => {
+      const c = Math.abs(matrix.contrasts[fg][background])
+      const [level] = levels.find(([_, min]) => c >= min) ?? ['fail']
+      groups[level].push(fg)
+    })
+  return groups
+}
+
+/**
+ * finds all swatches usable on top of a background swatch for a given level (or stricter),
+ *  e.g. all swatches usable as body text on `gray200`.
+ * 
+ * @example
+ * ```
+ * usable_on(contrast_matrix(palette, 'wcag3'), 'gray200', 'body')
+ * usable_on(contrast_matrix(palette, 'wcag2'), 'gray200', 'AA')
+ * ```
+ * 
+ * @param {ContrastMatrix} matrix 
+ * @param {string} background -- name of the background swatch
+ * @param {string} level -- wcag 2.x conformance level for `wcag2` and `bpca`; APCA use case for `wcag3`
+ * @returns {string[]}
+ */
+export function usable_on(matrix, background, level) {
+  const levels = matrix_levels(matrix.algorithm)
+  const i = levels.findIndex(([l]) => l === level)
+  assert(~i, `unrecognized level "${level}" for ${matrix.algorithm}. supported levels: ${levels.map(([l]) => `"${l}"`).join(', ')}`)
+
+  const groups = levels_on(matrix, background)
+  return levels.slice(0, i + 1).flatMap(([l]) => groups[l])
+}
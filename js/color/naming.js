@@ -0,0 +1,123 @@
+import { round } from '../math/math.js'
+import { assert } from '../utils/assert.js'
+import { range } from '../utils/iter.js'
+import { chroma, to } from './chroma.js'
+import { composite } from './alpha.js'
+import { ratio_names } from './contrast.js'
+
+/**
+ * @typedef {keyof typeof NAMING_SCHEMES} NamingScheme
+ */
+
+/**
+ * what swatches are named from: a color's target ratios, in ascending order
+ *  (as configured, i.e. before any contrast multiplier),
+ *  and the swatches generated for them against the theme's own background (not a mode's or a surface's),
+ *  so that every mode and surface shares the same names
+ *
+ * @typedef {{
+ *  name: string
+ *  ratios: number[]
+ *  algorithm: import('./contrast.js').ContrastAlgorithm
+ *  colors: import('chroma-js').Color[]
+ *  background: string
+ * }} NamingContext
+ */
+
+/**
+ * names a color's swatches, given as keys appended to the color's name (e.g. `"100"` for `blue100`)
+ *
+ * @typedef {(context: NamingContext) => string[]} Naming
+ */
+
+const TAILWIND_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]
+
+/**
+ * how to name a color's swatches:
+ * - `ratio`: by rank, following the contrast algorithm's name scale (see `ratio_names`), e.g. `blue100`, `blue200`
+ * - `tailwind`: by rank, spread over tailwind's fixed steps (50 to 950; at most 11 swatches), e.g. `blue50`, `blue500`, `blue950`
+ * - `contrast`: by target ratio, e.g. `blue-4.5`, `blue--1.5` (exporters escape or encode the `.` where they need to)
+ * - `lightness`: by (hsluv) lightness of the swatch, e.g. `blue-L62`
+ * - `stable`: by target ratio, as an integer (hundredths of the ratio; negative ratios prefixed by `n`), e.g. `blue450`.
+ *    unlike ranks, these don't change when ratios are added or removed
+ *
+ * `uses_colors` is whether the scheme needs the generated swatches
+ *
+ * @satisfies {Record<string, { separator: string, uses_colors: boolean, keys: Naming }>}
+ */
+export const NAMING_SCHEMES = {
+  'ratio': {
+    separator: '',
+    uses_colors: false,
+    keys: ({ ratios, algorithm }) => ratio_names(ratios, algorithm),
+  },
+  'tailwind': {
+    separator: '',
+    uses_colors: false,
+    keys: ({ name, ratios }) => {
+      const n = ratios.length
+      assert(n <= TAILWIND_STEPS.length, `color "${name}" has ${n} ratios, but tailwind naming only has ${TAILWIND_STEPS.length} steps`)
+      if (n === 1) { return ['500'] }
+      const last = TAILWIND_STEPS.length - 1
+      return range(n).map(i => String(TAILWIND_STEPS[Math.round(i * last / (n - 1))]))
+    },
+  },
+  'contrast': {
+    separator: '-',
+    uses_colors: false,
+    keys: ({ ratios }) => ratios.map(r => String(round(r, 2))),
+  },
+  'lightness': {
+    separator: '-',
+    uses_colors: true,
+    keys: ({ colors, background }) => {
+      const bg_rgb_arr = chroma(background).rgb()
+      // translucent swatches are seen composited over the background
+      return colors.map(c => `L${round(to.hsluv(chroma.rgb(...composite(c, bg_rgb_arr)))[2])}`)
+    },
+  },
+  'stable': {
+    separator: '',
+    uses_colors: false,
+    keys: ({ ratios }) => ratios.map(r => `${r < 0 ? 'n' : ''}${round(Math.abs(r) * 100)}`),
+  },
+}
+
+/**
+ * whether something is a naming scheme or a naming callback
+ *
+ * @param {any} naming
+ * @returns {naming is NamingScheme | Naming}
+ */
+export const is_naming = naming => typeof naming === 'function' || NAMING_SCHEMES.hasOwnProperty(naming)
+
+/**
+ * whether naming swatches needs them generated first
+ *
+ * @param {NamingScheme | Naming} naming
+ * @returns {boolean}
+ */
+export const naming_uses_colors = naming => typeof naming === 'function' || NAMING_SCHEMES[naming].uses_colors
+
+/**
+ * names a color's swatches, with a naming scheme or a naming callback (whose keys are appended as is).
+ * names must be unique within the color
+ *
+ * @param {NamingScheme | Naming} naming
+ * @param {NamingContext} context
+ * @returns {string[]}
+ */
+export function swatch_names(naming, context) {
+  const { separator, keys } = typeof naming === 'function'
+    ? { separator: '', keys: naming }
+    : NAMING_SCHEMES[naming]
+
+  // callbacks get copies, so can't change the theme's ratios
+  const ks = keys({ ...context, ratios: [...context.ratios], colors: [...context.colors] })
+  assert(Array.isArray(ks) && ks.length === context.ratios.length, `naming should give a name for each of color "${context.name}"'s ratios`)
+
+  const names = ks.map(key => `${context.name}${separator}${key}`)
+  const dupes = names.filter((n, i) => names.indexOf(n) !== i)
+  assert(!dupes.length, `color "${context.name}" has swatches with the same name: ${[...new Set(dupes)].map(n => `"${n}"`).join(', ')}`)
+  return names
+}
@@ -0,0 +1,61 @@
+/**
+ * a semantic role (e.g. `text-primary`, `border-subtle`, `danger-bg`), resolved for every mode of a theme:
+ * - `color` and `contrast`: a swatch of a theme color at a target contrast against the role's background
+ *    (scaled by the mode's contrast multiplier, like any swatch)
+ * - `ref`: another role, a swatch (by name, as generated against the role's background), a surface, or `"background"`
+ *
+ * `on` is what the role is used on: `"background"` (the default), a surface, or another role (e.g. text on `danger-bg`).
+ * roles with a `min` are checked to reach at least that contrast against it (in magnitude, under the theme's algorithm)
+ *
+ * @typedef {(
+ *  | { color: string, contrast: number, ref?: never, on?: string, min?: number }
+ *  | { ref: string, color?: never, contrast?: never, on?: string, min?: number }
+ * )} Role
+ */
+
+/**
+ * a role resolved for a mode
+ *
+ * @typedef {{
+ *  name: string
+ *  on: string
+ *  color: string | import('chroma-js').Color
+ *  background: string | import('chroma-js').Color
+ *  bg_rgb_arr: [r: number, g: number, b: number]
+ *  contrast: number
+ *  min: number | null
+ *  passes: boolean
+ * }} RoleSwatch
+ */
+
+/**
+ * a role resolved for a mode, formatted for output
+ *
+ * @typedef {{
+ *  name: string
+ *  value: string
+ *  on: string
+ *  background: string
+ *  contrast: number
+ *  min: number | null
+ *  passes: boolean
+ * }} ResolvedRole
+ */
+
+/**
+ * whether something is a valid role definition (what it refers to is only checked once resolved)
+ *
+ * @param {any} role
+ * @returns {role is Role}
+ */
+export function is_role(role) {
+  if (!role || typeof role !== 'object' || Array.isArray(role)) { return false }
+  const { color, contrast, ref, on, min, ...rest } = role
+  if (Object.keys(rest).length) { return false }
+  const defines = ref === undefined
+    ? typeof color === 'string' && typeof contrast === 'number'
+    : typeof ref === 'string' && color === undefined && contrast === undefined
+  return defines
+    && (on === undefined || typeof on === 'string')
+    && (min === undefined || typeof min === 'number')
+}
@@ -12,11 +12,12 @@ governing permissions and limitations under the License.
 */
 
 import { COLOR_SPACES } from './space.js'
-import { filter, map, min_by, numeric, repeat, split_first, zip, unzip, range, take } from '../utils/iter.js'
+import { filter, map, numeric, repeat, zip, unzip, range, take } from '../utils/iter.js'
 import { is_nan, is_not_nan, map_nan_to_zero } from '../math/math.js'
 import { id, pipe } from '../utils/fn.js'
-import { catmull_to_bezier, prepare_curve } from '../math/curve.js'
-import { chroma, from, to } from './chroma.js'
+import { b_spline, catmull_rom, monotone_cubic } from '../math/curve.js'
+import { chroma, from, in_viewing_conditions, to, to_gamut } from './chroma.js'
+import { HUE_INTERPOLATIONS, interpolate } from './interpolate.js'
 
 /**
  * @typedef {'linear' | 'polynomial' | 'parabola'} LightnessDistribution
@@ -32,6 +33,41 @@ const LIGHTNESS_DISTRIBUTIONS = {
   "polynomial": x => Math.sqrt(Math.sqrt((Math.pow(x, 2.25) + Math.pow(x, 4)) / 2)),
 }
 
+/**
+ * @typedef {'linear' | 'catmull-rom' | 'monotone-cubic' | 'b-spline'} CurveName
+ */
+
+/**
+ * @typedef {CurveName | import('./interpolate.js').Easing | [import('./interpolate.js').Easing, import('./interpolate.js').Easing, import('./interpolate.js').Easing]} Curve
+ */
+
+/**
+ * curves fitted through every key color along the scale, coordinate by coordinate.
+ * (`linear` scales and easings interpolate between neighbouring key colors instead)
+ * 
+ * @type {Record<Exclude<CurveName, 'linear'>, import('../math/curve.js').CurveFit>}
+ */
+const CURVE_FITS = {
+  'catmull-rom': catmull_rom,
+  'monotone-cubic': monotone_cubic,
+  'b-spline': b_spline,
+}
+
+/** @type {CurveName[]} */
+export const CURVES = ['linear', ...(/**@type{(keyof typeof CURVE_FITS)[]}*/(Object.keys(CURVE_FITS)))]
+
+/**
+ * checks that a curve is either one of `CURVES`, an easing, or an easing per coordinate
+ * 
+ * @param {unknown} curve 
+ * @returns {curve is Curve}
+ */
+export function is_curve(curve) {
+  return CURVES.includes(/**@type{CurveName}*/(curve))
+    || typeof curve === 'function'
+    || Array.isArray(curve) && curve.length === 3 && curve.every(f => typeof f === 'function')
+}
+
 /**
  * color spaces that, if `color_scale` should use a full scale,
  *  adds white and black as `chroma.Color`s to the key colors,
@@ -47,14 +83,24 @@ const FULL_SCALE_SPACES = new Set([
 ])
 
 /**
- * @type {Set<import('./space.js').InternalColorSpace>}
- */
-const JCH_COLOR_SPACES = new Set([
-  'cam02jch',
-  'cam16jch',
-])
-
-/**
+ * interpolates a scale of colors through key colors.
+ * 
+ * interpolating in spaces like lch, oklch, cam16p or hct can produce colors outside of the srgb gamut,
+ *  which chroma-js clips channel by channel (shifting hue and flattening the scale).
+ * given a `gamut`, colors along the scale are instead mapped into it with a `gamut_mapping` strategy.
+ * 
+ * `curve` sets the path through the key colors:
+ * - `linear`: straight between neighbouring key colors
+ * - `catmull-rom`: a smooth curve through the key colors, which may overshoot them (what `smooth` turns on)
+ * - `monotone-cubic`: a smooth curve through the key colors that never overshoots them
+ * - `b-spline`: a smooth curve from the first to the last key color, pulled towards (but not through) the others
+ * - an easing, or one per coordinate of the color space: bends the path between neighbouring key colors
+ * 
+ * in polar color spaces, `hue_interpolation` sets which way around the hue circle to go between key colors
+ * 
+ * `viewing_conditions` set how colors are seen in the spaces of color appearance models (`cam02`, `cam02p`, `cam16`, `cam16p` and `hct`),
+ *  both to interpolate through them and to place key colors along the scale by their (CIECAM02) lightness
+ * 
  * @template {boolean} [AsFn=false]
  * @param {number} granularity 
  * @param {string[]} key_colors 
@@ -63,8 +109,13 @@ const JCH_COLOR_SPACES = new Set([
  *  shift?: number,
  *  full_scale?: boolean,
  *  smooth?: boolean,
+ *  curve?: Curve,
  *  distribute_lightness?: LightnessDistribution,
  *  sort_color?: boolean,
+ *  gamut?: import('./gamut.js').Gamut | null,
+ *  gamut_mapping?: import('./gamut.js').GamutMapping,
+ *  hue_interpolation?: import('./interpolate.js').HueInterpolation,
+ *  viewing_conditions?: import('./viewing.js').ViewingConditions | null,
  *  as_fn?: AsFn
  * }} [opts] 
  * @returns {AsFn extends false ? string[] : (d: number) => import('chroma-js').Color}
@@ -73,25 +124,33 @@ export function color_scale(granularity, key_colors, color_space, {
   shift = 1,
   full_scale = true,
   smooth = false,
+  curve = smooth ? 'catmull-rom' : 'linear',
   distribute_lightness = 'linear',
   sort_color = true,
+  gamut = null,
+  gamut_mapping = 'css',
+  hue_interpolation = 'shorter',
+  viewing_conditions = null,
   as_fn = false,
 } = {}) {
   const space = COLOR_SPACES[color_space]
+  const viewed = viewing_conditions === null ? null : in_viewing_conditions(viewing_conditions)
+  const [to_space, from_space, to_jch] = [viewed?.to[space] ?? to[space], viewed?.from[space] ?? from[space], viewed?.to.cam02jch ?? to.cam02jch]
+  const fit = typeof curve === 'string' && curve !== 'linear' ? CURVE_FITS[curve] : null
 
   // dunno what the purpose of this is,
   // and every time color_scale is called `shift` is 1 anyway so it doesnt do anything in practice. but idk
   const power_scale = make_pow_scale(shift, [1, granularity], [1, granularity])
   
   const domains = pipe(
-    xs => get_domains(...xs),
+    xs => get_domains(...xs, to_jch),
     map(x => Math.max(0, power_scale(x))),
     map(LIGHTNESS_DISTRIBUTIONS[distribute_lightness]),
   )([granularity, key_colors, full_scale])
   
   const resolved_key_colors = pipe(
     sort_color
-      ? sort_colors_by_lightness
+      ? xs => sort_colors_by_lightness(xs, to_jch)
       : id,
     full_scale
       ? xs => [
@@ -99,7 +158,7 @@ export function color_scale(granularity, key_colors, color_space, {
           FULL_SCALE_SPACES.has(space)
             ? from[space](...to[space](chroma('#fff')))
             : '#ffffff',
-          ...sort_colors_by_lightness(xs),
+          ...sort_colors_by_lightness(xs, to_jch),
           FULL_SCALE_SPACES.has(space)
             ? from[space](...to[space](chroma('#000')))
             : '#000000',
@@ -107,36 +166,68 @@ export function color_scale(granularity, key_colors, color_space, {
       : id,
   )(key_colors)
   
-  /** @type {((d: number) => import('chroma-js').Color) | import('chroma-js').Scale<import('chroma-js').Color>} */
+  /** @type {(d: number) => import('chroma-js').Color} */
   const scale = pipe(
-    smooth
+    fit
       ? pipe(
-          map(pipe(
-            d => to[space](chroma(String(d))),
+          map(d => pipe(
+            to_space,
             // special case for HCL if C is NaN we should treat it as 0
             space === 'hcl' ? ([h, c, l]) => [h, map_nan_to_zero(c), l] : id,
-            // JCh has some “random” hue for grey colors.
+            // JCh, hsluv and hct have some “random” hue for grey colors.
             // Replacing it to NaN, so we can apply the same method of dealing with them.
-            JCH_COLOR_SPACES.has(space) ? x => (Number.isNaN(chroma(x).hcl()[0]) ? x.with(2, Number.NaN) : x) : id,
-          )),
-          xs => smooth_scale(xs, domains, space),
+            HUE_INDICES[space] !== undefined && is_nan(chroma(String(d)).hsl()[0])
+              ? x => [...x].with(HUE_INDICES[space], Number.NaN)
+              : id,
+          )(chroma(String(d)))),
+          xs => smooth_scale(xs, domains, space, fit, hue_interpolation, from_space),
         )
-      // TODO: port to a `default_scale()` function that does not depend on `chroma.scale`
-      //  to remove the need to monkey patch `chroma` 
-      : xs => chroma
-        .scale(xs.map(color => color instanceof chroma.Color ? color : String(color)))
-        .domain(domains)
-        .mode(space),
+      : xs => default_scale(xs, domains, color_space, hue_interpolation, typeof curve === 'string' ? undefined : curve, viewing_conditions),
   )(resolved_key_colors)
 
-  if (as_fn) { return scale }
-  
-  const arr = smooth
+  /** @type {(scale: (d: number) => import('chroma-js').Color) => string[]} */
+  const sample = scale => fit
     ? range(granularity).map(d => scale(d).hex())
-    // if it wasn't smooth, scale should be a chroma Scale which has a `colors()` method
-    : /**@type{import('chroma-js').Scale<import('chroma-js').Color>}*/(scale).colors(granularity)
-  
-  return arr
+    // evenly spaced over the whole domain, both ends included
+    : range(granularity).map(i => scale(domains[0] + i / (granularity - 1) * (domains.at(-1) - domains[0])).hex())
+
+  if (gamut !== null) {
+    /** @type {(d: number) => import('chroma-js').Color} */
+    const mapped_scale = d => to_gamut(scale(d), gamut, gamut_mapping)
+    return as_fn ? mapped_scale : sample(mapped_scale)
+  }
+
+  return as_fn ? scale : sample(scale)
+}
+
+/**
+ * piecewise interpolation between key colors placed at their domain positions.
+ * values outside of the domain get the first or last key color
+ * 
+ * @param {(string | import('chroma-js').Color)[]} key_colors 
+ * @param {number[]} domains -- sorted, one per key color
+ * @param {import('./space.js').InterpolationColorSpace} color_space 
+ * @param {import('./interpolate.js').HueInterpolation} hue_interpolation 
+ * @param {import('./interpolate.js').Easing | [import('./interpolate.js').Easing, import('./interpolate.js').Easing, import('./interpolate.js').Easing]} [easing] 
+ * @param {import('./viewing.js').ViewingConditions | null} [viewing_conditions] 
+ * @returns {(d: number) => import('chroma-js').Color}
+ */
+function default_scale(key_colors, domains, color_space, hue_interpolation, easing, viewing_conditions = null) {
+  // a single key color is a scale from and to itself
+  const colors = (key_colors.length === 1 ? [key_colors[0], key_colors[0]] : key_colors).map(c => chroma(c))
+  const [min, max] = [domains[0], domains.at(-1)]
+  // key colors are spread evenly if their domains don't match up with them
+  const positions = domains.length === colors.length && min !== max
+    ? domains.map(d => (d - min) / (max - min))
+    : colors.map((_, i) => i / (colors.length - 1))
+
+  return d => {
+    const t = Math.min(1, Math.max(0, min !== max ? (d - min) / (max - min) : 1))
+    const i = positions.findIndex((p, i) => t <= p || i === positions.length - 1 || t < positions[i + 1])
+    const p = positions[i]
+    if (t <= p || i === positions.length - 1) { return colors[i] }
+    return interpolate(colors[i], colors[i + 1], (t - p) / (positions[i + 1] - p), color_space, { hue: hue_interpolation, easing, viewing_conditions })
+  }
 }
 
 /**
@@ -144,19 +235,20 @@ export function color_scale(granularity, key_colors, color_space, {
  * @param {number} granularity 
  * @param {string[]} key_colors 
  * @param {boolean} full_scale 
+ * @param {(color: import('chroma-js').Color) => number[]} [to_jch] -- lightness is taken from CIECAM02 jch
  * @returns 
  */
-function get_domains(granularity, key_colors, full_scale) {
+function get_domains(granularity, key_colors, full_scale, to_jch = to.cam02jch) {
   if (full_scale) {
     return [
       0, 
       ...key_colors
-        .map(key => granularity * (1 - (to.cam02jch(chroma(key))[0] / 100)))
+        .map(key => granularity * (1 - (to_jch(chroma(key))[0] / 100)))
         .sort(numeric)
         .concat(granularity),
       ]
   } else {
-    const lums = key_colors.map(key => to.cam02jch(chroma(key))[0] / 100)
+    const lums = key_colors.map(key => to_jch(chroma(key))[0] / 100)
     const [min, max] = [Math.min(...lums), Math.max(...lums)]
     const d = max - min
 
@@ -185,13 +277,14 @@ function make_pow_scale(k = 1, d = [0, 1], r = [0, 1]) {
 /**
  * 
  * @param {string[]} color_strs 
+ * @param {(color: import('chroma-js').Color) => number[]} [to_jch] 
  * @returns {string[]}
  */
-function sort_colors_by_lightness(color_strs) {
+function sort_colors_by_lightness(color_strs, to_jch = to.cam02jch) {
   // schwartzian transform
   return color_strs
     // convert to hsluv and keep track of original rgb color
-    .map((c, i) => [to.cam02jch(chroma(String(c))), i])
+    .map((c, i) => [to_jch(chroma(String(c))), i])
     // sort by lightness
     .sort((a, b) => b[0][0] - a[0][0])
     // retrieve original rgb color
@@ -199,25 +292,31 @@ function sort_colors_by_lightness(color_strs) {
 }
 
 /**
- * color spaces with a hue component
+ * index of the hue component of color spaces with one
+ * 
+ * @type {Partial<Record<import('./space.js').InternalColorSpace, number>>}
  */
-const HUE_COLOR_SPACES = new Set(
-  'hcl',
-  'hsl',
-  'hsluv',
-  'hsv',
-  'cam02jch',
-  'cam16jch',
-  'hct',
-)
+const HUE_INDICES = {
+  'hsl': 0,
+  'hsv': 0,
+  'hsluv': 0,
+  'hct': 0,
+  'lch': 2,
+  'oklch': 2,
+  'cam02jch': 2,
+  'cam16jch': 2,
+}
 
 /**
  * 
  * @param {[c0: number, c1: number, c2: number][]} colors 
  * @param {number[]} domains 
  * @param {import('./space.js').InternalColorSpace} space 
+ * @param {import('../math/curve.js').CurveFit} fit 
+ * @param {import('./interpolate.js').HueInterpolation} hue_interpolation 
+ * @param {(...args: number[]) => import('chroma-js').Color} [from_space] 
  */
-function smooth_scale(colors, domains, space) {
+function smooth_scale(colors, domains, space, fit, hue_interpolation, from_space = from[space]) {
   // first, convert [c0, c1, c2][] to [c0: [...], c1: [...], c2: [...]]
   /** @type {[c0: number[], c1: number[], c2: number[]]} */
   let color_scalars = pipe(
@@ -247,54 +346,41 @@ function smooth_scale(colors, domains, space) {
     },
   ))(color_scalars)
 
+  // unwrap hues so that the curve goes around the hue circle as `hue_interpolation` says,
+  //  from one key color to the next
+  const hue = HUE_INDICES[space]
+  if (hue !== undefined) {
+    let prev = Number.NaN, unwrapped = Number.NaN
+    color_scalars[hue] = color_scalars[hue].map(h => {
+      if (is_nan(h)) { return h }
+      unwrapped = is_nan(prev) ? h : unwrapped + HUE_INTERPOLATIONS[hue_interpolation](prev, h)
+      prev = h
+      return unwrapped
+    })
+  }
+
   /** @type {[import('../math/point.js').Point[], import('../math/point.js').Point[], import('../math/point.js').Point[]]} */
-  let color_points = color_scalars.map(pipe(
+  const per_component_points = color_scalars.map(pipe(
     // turn into points
     xs => zip([domains, xs]),
-    // filter out any remaining nans
+    // filter out any remaining nans (greys in the middle of the scale have no hue)
     filter(([_, point]) => is_not_nan(point)),
   ))
-  
-  // force hue to go on shortest route
-  // (i dont really understand what this is doing but ty adobe)
-  if (HUE_COLOR_SPACES.has(space)) {
-    color_points = map(pipe(
-      unzip,
-      ([domains, hues]) => {
-        const [x, xs] = split_first(hues)
-        const new_hues = xs.reduce(([acc, addon], point, i) => {
-          const prev = hues[i - 1]
-          const p = point + addon
-          const dir = min_by(x => Math.abs(prev - (p + x * 360)))([-1, 0, 1])
-          acc.push(point)
-          return [acc, addon + dir * 360]
-        }, [[x], 0])
-        return [domains, new_hues]
-      },
-      zip,
-    ))(color_points)
-  }
-
-  /** @type {[import('../math/point.js').Point[], import('../math/point.js').Point[], import('../math/point.js').Point[]]} */
-  const per_component_points = color_scalars.map(points => zip([domains, points]))
 
-  /** @type {[((x: number) => number | null)[], ((x: number) => number | null)[], ((x: number) => number | null)[]]} */
-  const curve = per_component_points.map(pipe(catmull_to_bezier, map(prepare_curve)))
+  const curves = per_component_points.map(fit)
 
   /**
    * @type{(d: number) => import('chroma-js').Color}
    */
   return d => {
-    const ch = curve.map(fs => {
-      for (const f of fs) {
-        const r = f(d)
-        if (r !== null) { return r }
-      }
-      return null
-    })
+    const ch = curves.map(f => f(d))
+    // catmull-rom curves may overshoot into negative chroma
     if ((space === 'cam02jch' || space === 'cam16jch') && typeof ch[1] === 'number') {
       ch[1] = Math.max(0, ch[1])
     }
-    return from[space](...ch)
+    if (hue !== undefined && typeof ch[hue] === 'number') {
+      ch[hue] = (ch[hue] % 360 + 360) % 360
+    }
+    return from_space(...ch)
   }
 }
\ No newline at end of file
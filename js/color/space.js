@@ -35,6 +35,8 @@ export const COLOR_SPACES = /**@type{const}*/({
   "cam16":  'cam16jab',
   "cam16p": 'cam16jch',
   'hct':    'hct',
+  "display-p3": 'display-p3',
+  "rec2020": 'rec2020',
 })
 
 
@@ -81,4 +83,26 @@ export const OUTPUT_COLOR_SPACES = pick(COLOR_SPACES, [
   'lch',
   'oklab',
   'oklch',
-])
\ No newline at end of file
+  'display-p3',
+  'rec2020',
+])
+
+/**
+ * output color spaces whose gamut is wider than srgb.
+ * colors are gamut mapped into them, and into srgb for all other output color spaces
+ */
+export const WIDE_GAMUT_OUTPUT_COLOR_SPACES = pick(OUTPUT_COLOR_SPACES, [
+  'display-p3',
+  'rec2020',
+])
+
+/**
+ * the gamut colors are emitted in for an output format:
+ *  its own gamut for wide gamut output formats, srgb for every other output format
+ * 
+ * @param {OutputColorSpace} output_format 
+ * @returns {import('./gamut.js').Gamut}
+ */
+export const output_gamut = output_format => WIDE_GAMUT_OUTPUT_COLOR_SPACES.hasOwnProperty(output_format)
+  ? /**@type{import('./gamut.js').Gamut}*/(output_format)
+  : 'srgb'
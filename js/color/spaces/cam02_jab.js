@@ -2,7 +2,7 @@
  * CIECAM02
  */
 
-import { cam02jch_to_rgb, rgb_to_cam02jch } from './cam02_jch.js'
+import { cam02jch_in } from './cam02_jch.js'
 
 import { pipe } from '../../utils/fn.js'
 import { denormalize_rgb, normalize_rgb } from '../../utils/color.js'
@@ -10,12 +10,23 @@ import { denormalize_rgb, normalize_rgb } from '../../utils/color.js'
 const coefs = { k_l: 1, c1: 0.007, c2: 0.0228 }
 const pi = Math.PI
 const CIECAM02_la = (64 / pi) / 5
-const CIECAM02_k = 1 / ((5 * CIECAM02_la) + 1)
-const CIECAM02_fl = (0.2 * (CIECAM02_k ** 4) * (5 * CIECAM02_la)) + 0.1 * ((1 - (CIECAM02_k ** 4)) ** 2) * ((5 * CIECAM02_la) ** (1 / 3))
 
-/** @type {(jch: [j: number, c: number, h: number]) => [j: number, a: number, b: number]} */
-export function jch_to_jab([J, C, h]) {
-  const M = C * (CIECAM02_fl ** 0.25)
+/**
+ * luminance-level adaptation factor (F_L) for an adapting luminance
+ *
+ * @param {number} la
+ * @returns {number}
+ */
+function luminance_adaptation(la) {
+  const k = 1 / ((5 * la) + 1)
+  return (0.2 * (k ** 4) * (5 * la)) + 0.1 * ((1 - (k ** 4)) ** 2) * ((5 * la) ** (1 / 3))
+}
+
+const CIECAM02_fl = luminance_adaptation(CIECAM02_la)
+
+/** @type {(jch: [j: number, c: number, h: number], fl?: number) => [j: number, a: number, b: number]} */
+export function jch_to_jab([J, C, h], fl = CIECAM02_fl) {
+  const M = C * (fl ** 0.25)
   let j = ((1 + 100 * coefs.c1) * J) / (1 + coefs.c1 * J)
   j /= coefs.k_l
   const M_prime = (1 / coefs.c2) * Math.log(1.0 + coefs.c2 * M)
@@ -24,26 +35,47 @@ export function jch_to_jab([J, C, h]) {
   return [j, a, b]
 }
 
-/** @type {(jab: [j: number, a: number, b: number]) => [j: number, c: number, h: number]} */
-export function jab_to_jch([j, a, b]) {
+/** @type {(jab: [j: number, a: number, b: number], fl?: number) => [j: number, c: number, h: number]} */
+export function jab_to_jch([j, a, b], fl = CIECAM02_fl) {
   const new_M_prime = Math.sqrt(a * a + b * b)
   const new_M = (Math.exp(new_M_prime * coefs.c2) - 1) / coefs.c2
   const h = ((180 / pi) * Math.atan2(b, a) + 360) % 360
-  const C = new_M / (CIECAM02_fl ** 0.25)
+  const C = new_M / (fl ** 0.25)
   const J = j / (1 + coefs.c1 * (100 - j))
   return [J, C, h]
 }
 
+/**
+ * jab conversions under viewing conditions (missing ones taking CIECAM02's defaults).
+ * without an adapting luminance, colorfulness (a, b) keeps being scaled by this space's own (`CIECAM02_la`)
+ *
+ * @param {import('../viewing.js').ViewingConditions} vc
+ * @returns {{
+ *  to_rgb: (jab: [j: number, a: number, b: number]) => [r: number, g: number, b: number]
+ *  from_rgb: (rgb: [r: number, g: number, b: number]) => [j: number, a: number, b: number]
+ * }}
+ */
+export function cam02jab_in(vc) {
+  const jch = cam02jch_in(vc)
+  const fl = luminance_adaptation(vc.adapting_luminance ?? CIECAM02_la)
+  return {
+    to_rgb: pipe(
+      jab => jab_to_jch(jab, fl),
+      jch.to_rgb,
+      denormalize_rgb,
+    ),
+    from_rgb: pipe(
+      normalize_rgb,
+      jch.from_rgb,
+      jch => jch_to_jab(jch, fl),
+    ),
+  }
+}
+
+const cam02jab = cam02jab_in({})
+
 /** @type {(jab: [j: number, a: number, b: number]) => [r: number, g: number, b: number]} */
-export const cam02jab_to_rgb = pipe(
-  jab_to_jch,
-  cam02jch_to_rgb,
-  denormalize_rgb,
-)
+export const cam02jab_to_rgb = cam02jab.to_rgb
 
 /** @type {(rgb: [r: number, g: number, b: number]) => [j: number, a: number, b: number]} */
-export const rgb_to_cam02jab = pipe(
-  normalize_rgb,
-  rgb_to_cam02jch,
-  jch_to_jab,
-)
+export const rgb_to_cam02jab = cam02jab.from_rgb
@@ -3,29 +3,57 @@ import ciecam02 from 'ciecam02'
 
 import { pipe } from '../../utils/fn.js'
 import { denormalize_rgb, normalize_rgb } from '../../utils/color.js'
+import { white_point_xyz } from '../viewing.js'
 
-const cam = ciecam02.cam({
-  whitePoint: illuminant.D65,
-  adaptingLuminance: 40,
-  backgroundLuminance: 20,
-  surroundType: 'average',
+/** CIECAM02's default viewing conditions */
+export const CAM02_VIEWING_CONDITIONS = /**@type{const}*/({
+  white_point: illuminant.D65,
+  adapting_luminance: 40,
+  background_luminance: 20,
+  surround: 'average',
   discounting: false,
-}, ciecam02.cfs('JCh'))
-
+})
 
 const xyz = _xyz(workspace.sRGB, illuminant.D65)
 
+/**
+ * jch conversions under viewing conditions (missing ones taking CIECAM02's defaults)
+ *
+ * @param {import('../viewing.js').ViewingConditions} vc
+ * @returns {{
+ *  to_rgb: (jch: [j: number, c: number, h: number]) => [r: number, g: number, b: number]
+ *  from_rgb: (rgb: [r: number, g: number, b: number]) => [j: number, c: number, h: number]
+ * }}
+ */
+export function cam02jch_in(vc) {
+  const { white_point, adapting_luminance, background_luminance, surround, discounting } = { ...CAM02_VIEWING_CONDITIONS, ...vc }
+  const cam = ciecam02.cam({
+    whitePoint: white_point_xyz(white_point),
+    adaptingLuminance: adapting_luminance,
+    backgroundLuminance: background_luminance,
+    surroundType: surround,
+    discounting,
+  }, ciecam02.cfs('JCh'))
+
+  return {
+    to_rgb: pipe(
+      ([J, C, h]) => cam.toXyz({ J, C, h }),
+      xyz.toRgb,
+      denormalize_rgb,
+    ),
+    from_rgb: pipe(
+      normalize_rgb,
+      xyz.fromRgb,
+      cam.fromXyz,
+      ({ J, C, h }) => [J, C, h]
+    ),
+  }
+}
+
+const cam02jch = cam02jch_in({})
+
 /** @type {(jch: [j: number, c: number, h: number]) => [r: number, g: number, b: number]} */
-export const cam02jch_to_rgb = pipe(
-  ([J, C, h]) => cam.toXyz({ J, C, h }),
-  xyz.toRgb,
-  denormalize_rgb,
-)
+export const cam02jch_to_rgb = cam02jch.to_rgb
 
 /** @type {(rgb: [r: number, g: number, b: number]) => [j: number, c: number, h: number]} */
-export const rgb_to_cam02jch = pipe(
-  normalize_rgb,
-  xyz.fromRgb,
-  cam.fromXyz,
-  ({ J, C, h }) => [J, C, h]
-)
\ No newline at end of file
+export const rgb_to_cam02jch = cam02jch.from_rgb
@@ -1,18 +1,37 @@
-import { Cam16, argbFromRgb, rgbaFromArgb } from '@material/material-color-utilities'
+import { Cam16, ViewingConditions, argbFromRgb } from '@material/material-color-utilities'
 
 import { pipe, unpack } from '../../utils/fn.js'
+import { xyz_to_rgb } from '../gamut.js'
+
+/**
+ * jab (cam16-ucs) conversions under material's viewing conditions
+ *
+ * @param {ViewingConditions} vc
+ * @returns {{
+ *  to_rgb: (jab: [j: number, a: number, b: number]) => [r: number, g: number, b: number]
+ *  from_rgb: (rgb: [r: number, g: number, b: number]) => [j: number, a: number, b: number]
+ * }}
+ */
+export function cam16jab_in(vc) {
+  return {
+    // going through xyz rather than `cam16.toInt()`, which clips colors outside of the srgb gamut
+    to_rgb: pipe(
+      ([j, a, b]) => Cam16.fromUcsInViewingConditions(j, a, b, vc),
+      cam16 => cam16.xyzInViewingConditions(vc).map(v => v / 100),
+      xyz_to_rgb,
+    ),
+    from_rgb: pipe(
+      unpack(argbFromRgb),
+      argb => Cam16.fromIntInViewingConditions(argb, vc),
+      cam16 => [cam16.jstar, cam16.astar, cam16.bstar],
+    ),
+  }
+}
+
+const cam16jab = cam16jab_in(ViewingConditions.DEFAULT)
 
 /** @type {(jab: [j: number, a: number, b: number]) => [r: number, g: number, b: number]} */
-export const cam16jab_to_rgb = pipe(
-  unpack(Cam16.fromUcs),
-  cam16 => cam16.toInt(),
-  rgbaFromArgb,
-  ({r,g,b}) => [r, g, b],
-)
+export const cam16jab_to_rgb = cam16jab.to_rgb
 
 /** @type {(rgb: [r: number, g: number, b: number]) => [j: number, a: number, b: number]} */
-export const rgb_to_cam16jab = pipe(
-  unpack(argbFromRgb),
-  Cam16.fromInt,
-  cam16 => [cam16.jstar, cam16.astar, cam16.bstar],
-)
+export const rgb_to_cam16jab = cam16jab.from_rgb
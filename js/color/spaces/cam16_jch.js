@@ -1,18 +1,57 @@
-import { Cam16, argbFromRgb, rgbaFromArgb } from '@material/material-color-utilities'
+import { Cam16, ViewingConditions, argbFromRgb, lstarFromY } from '@material/material-color-utilities'
 
 import { pipe, unpack } from '../../utils/fn.js'
+import { xyz_to_rgb } from '../gamut.js'
+import { white_point_xyz } from '../viewing.js'
+
+/** material's surround factors */
+const MATERIAL_SURROUNDS = { average: 2, dim: 1, dark: 0 }
+
+/**
+ * material's viewing conditions for ours (missing ones taking material's defaults)
+ *
+ * @param {import('../viewing.js').ViewingConditions} vc
+ * @returns {ViewingConditions}
+ */
+export function material_viewing_conditions({ white_point, adapting_luminance, background_luminance, surround, discounting }) {
+  return ViewingConditions.make(
+    white_point === undefined ? undefined : white_point_xyz(white_point),
+    adapting_luminance,
+    background_luminance === undefined ? undefined : lstarFromY(background_luminance),
+    surround === undefined ? undefined : MATERIAL_SURROUNDS[surround],
+    discounting,
+  )
+}
+
+/**
+ * jch conversions under material's viewing conditions
+ *
+ * @param {ViewingConditions} vc
+ * @returns {{
+ *  to_rgb: (jch: [j: number, c: number, h: number]) => [r: number, g: number, b: number]
+ *  from_rgb: (rgb: [r: number, g: number, b: number]) => [j: number, c: number, h: number]
+ * }}
+ */
+export function cam16jch_in(vc) {
+  return {
+    // going through xyz rather than `cam16.toInt()`, which clips colors outside of the srgb gamut
+    to_rgb: pipe(
+      ([j, c, h]) => Cam16.fromJchInViewingConditions(j, c, h, vc),
+      cam16 => cam16.xyzInViewingConditions(vc).map(v => v / 100),
+      xyz_to_rgb,
+    ),
+    from_rgb: pipe(
+      unpack(argbFromRgb),
+      argb => Cam16.fromIntInViewingConditions(argb, vc),
+      cam16 => [cam16.j, cam16.chroma, cam16.hue],
+    ),
+  }
+}
+
+const cam16jch = cam16jch_in(ViewingConditions.DEFAULT)
 
 /** @type {(jch: [j: number, c: number, h: number]) => [r: number, g: number, b: number]} */
-export const cam16jch_to_rgb = pipe(
-  unpack(Cam16.fromJch),
-  cam16 => cam16.toInt(),
-  rgbaFromArgb,
-  ({r,g,b}) => [r, g, b],
-)
+export const cam16jch_to_rgb = cam16jch.to_rgb
 
 /** @type {(rgb: [r: number, g: number, b: number]) => [j: number, c: number, h: number]} */
-export const rgb_to_cam16jch = pipe(
-  unpack(argbFromRgb),
-  Cam16.fromInt,
-  cam16 => [cam16.j, cam16.chroma, cam16.hue],
-)
\ No newline at end of file
+export const rgb_to_cam16jch = cam16jch.from_rgb
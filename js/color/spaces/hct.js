@@ -1,6 +1,7 @@
-import { Hct, argbFromRgb, rgbaFromArgb } from '@material/material-color-utilities'
+import { Cam16, Hct, argbFromRgb, lstarFromArgb, rgbaFromArgb, yFromLstar } from '@material/material-color-utilities'
 
 import { pipe, unpack } from '../../utils/fn.js'
+import { xyz_to_rgb } from '../gamut.js'
 
 /** @type {(hct: [h: number, c: number, t: number]) => [r: number, g: number, b: number]} */
 export const hct_to_rgb = pipe(
@@ -15,4 +16,44 @@ export const rgb_to_hct = pipe(
   unpack(argbFromRgb),
   Hct.fromInt,
   hct => [hct.hue, hct.chroma, hct.tone],
-)
\ No newline at end of file
+)
+
+/**
+ * hct conversions under (non-default) material viewing conditions:
+ *  hue and chroma as cam16 sees them in those conditions, with tone still cie L*.
+ * 
+ * unlike material's hct (which only solves for its default conditions), colors outside of the srgb gamut
+ *  keep their hue and chroma (as extended srgb values, see `gamut.js`) rather than being reduced in chroma
+ *
+ * @param {import('@material/material-color-utilities').ViewingConditions} vc
+ * @returns {{
+ *  to_rgb: (hct: [h: number, c: number, t: number]) => [r: number, g: number, b: number]
+ *  from_rgb: (rgb: [r: number, g: number, b: number]) => [h: number, c: number, t: number]
+ * }}
+ */
+export function hct_in(vc) {
+  /** @type {(j: number, c: number, h: number) => number[]} */
+  const xyz_at = (j, c, h) => Cam16.fromJchInViewingConditions(j, c, h, vc).xyzInViewingConditions(vc)
+
+  return {
+    to_rgb: ([h, c, t]) => {
+      if (t <= 0) { return [0, 0, 0] }
+      const y = yFromLstar(t)
+      // luminance rises with lightness (J) at a given hue and chroma: bisect for the lightness at the tone's luminance
+      let lo = 0, hi = 100
+      while (xyz_at(hi, c, h)[1] < y && hi < 1000) { hi *= 2 }
+      for (let i = 0; i < 40 && hi - lo > 1e-6; ++i) {
+        const mid = (lo + hi) / 2
+        if (xyz_at(mid, c, h)[1] < y) { lo = mid } else { hi = mid }
+      }
+      return xyz_to_rgb(xyz_at((lo + hi) / 2, c, h).map(v => v / 100))
+    },
+    from_rgb: pipe(
+      unpack(argbFromRgb),
+      argb => {
+        const cam16 = Cam16.fromIntInViewingConditions(argb, vc)
+        return [cam16.hue, cam16.chroma, lstarFromArgb(argb)]
+      },
+    ),
+  }
+}
@@ -0,0 +1,77 @@
+import { illuminant } from 'ciebase'
+
+/**
+ * @typedef {typeof SURROUNDS[number]} Surround
+ */
+
+/**
+ * @typedef {keyof typeof WHITE_POINTS} WhitePoint
+ */
+
+/**
+ * the environment colors are seen in, for the color appearance models behind `cam02`, `cam02p`, `cam16`, `cam16p` and `hct`:
+ * - `white_point`: the adopted white, as a cie illuminant or its xyz (with Y = 100)
+ * - `adapting_luminance`: luminance of the adapting field, in cd/m² (e.g. ~200 for an office, ~10 for a dim room or a car at night)
+ * - `background_luminance`: relative luminance of the background, in [0, 100]
+ * - `surround`: `average` (e.g. a lit room), `dim` (e.g. watching tv) or `dark` (e.g. a cinema or a car at night)
+ * - `discounting`: whether the illuminant is discounted (i.e. colors are adapted to as reflective rather than emissive)
+ *
+ * conditions left out keep each space's defaults:
+ *  D65, an adapting luminance of 40, a background luminance of 20 and an average surround for CIECAM02,
+ *  and material's defaults (D65, ~11.7, 18.4 i.e. L* 50, average) for CAM16 and HCT
+ *
+ * @typedef {{
+ *  white_point?: WhitePoint | [x: number, y: number, z: number]
+ *  adapting_luminance?: number
+ *  background_luminance?: number
+ *  surround?: Surround
+ *  discounting?: boolean
+ * }} ViewingConditions
+ */
+
+export const SURROUNDS = /**@type{const}*/(['average', 'dim', 'dark'])
+
+/** cie illuminants, as xyz (with Y = 100) */
+export const WHITE_POINTS = {
+  'A': illuminant.A,
+  'C': illuminant.C,
+  'D50': illuminant.D50,
+  'D55': illuminant.D55,
+  'D65': illuminant.D65,
+  'D75': illuminant.D75,
+}
+
+/**
+ * whether something is valid viewing conditions
+ *
+ * @param {any} vc
+ * @returns {vc is ViewingConditions}
+ */
+export function is_viewing_conditions(vc) {
+  if (!vc || typeof vc !== 'object' || Array.isArray(vc)) { return false }
+  const { white_point, adapting_luminance, background_luminance, surround, discounting, ...rest } = vc
+  return !Object.keys(rest).length
+    && (white_point === undefined || WHITE_POINTS.hasOwnProperty(white_point)
+      || Array.isArray(white_point) && white_point.length === 3 && white_point.every(v => typeof v === 'number' && v > 0))
+    && (adapting_luminance === undefined || typeof adapting_luminance === 'number' && adapting_luminance > 0)
+    && (background_luminance === undefined || typeof background_luminance === 'number' && 0 < background_luminance && background_luminance <= 100)
+    && (surround === undefined || SURROUNDS.includes(surround))
+    && (discounting === undefined || typeof discounting === 'boolean')
+}
+
+/**
+ * the xyz of a white point
+ *
+ * @param {WhitePoint | [x: number, y: number, z: number]} white_point
+ * @returns {[x: number, y: number, z: number]}
+ */
+export const white_point_xyz = white_point => Array.isArray(white_point) ? white_point : WHITE_POINTS[white_point]
+
+/**
+ * a key identifying viewing conditions, regardless of the order their fields were given in
+ *
+ * @param {ViewingConditions} vc
+ * @returns {string}
+ */
+export const viewing_conditions_key = ({ white_point, adapting_luminance, background_luminance, surround, discounting }) =>
+  JSON.stringify([white_point, adapting_luminance, background_luminance, surround, discounting])
@@ -0,0 +1,233 @@
+/**
+ * @overview versioned, json-safe config format for themes and colors.
+ * 
+ * configs produced by `Theme.to_object()` / `Color.to_object()` are plain data,
+ *  and can be loaded back with `Theme.from_object()` / `Color.from_object()`
+ *  (or `from_json()`) to rebuild identical palettes.
+ * loading a config validates it, throwing an error pointing at the offending field,
+ *  and migrates configs of older versions forward to the current version.
+ */
+
+import { between } from './math/math.js'
+import { chroma } from './color/chroma.js'
+import { CONTRAST_ALGORITHMS } from './color/contrast.js'
+import { INTERPOLATION_COLOR_SPACES, OUTPUT_COLOR_SPACES, WIDE_GAMUT_OUTPUT_COLOR_SPACES } from './color/space.js'
+import { GAMUTS, GAMUT_MAPPINGS } from './color/gamut.js'
+import { HUE_INTERPOLATIONS } from './color/interpolate.js'
+import { CURVES } from './color/scale.js'
+import { SOLUTIONS, UNREACHABLE_POLICIES } from './color/generate.js'
+import { is_surface } from './color/background.js'
+import { NAMING_SCHEMES } from './color/naming.js'
+import { is_role } from './color/roles.js'
+import { is_viewing_conditions } from './color/viewing.js'
+
+/**
+ * current version of the config format
+ */
+export const CONFIG_VERSION = 1
+
+/**
+ * @typedef {{
+ *  name: string
+ *  key_colors: string[]
+ *  color_space: import('./color/space.js').InterpolationColorSpace
+ *  ratios: number[] | Record<string, number>
+ *  smooth?: boolean
+ *  curve?: import('./color/scale.js').CurveName
+ *  saturation?: number | null
+ *  alpha?: import('./color/color.js').ColorAlpha
+ *  gamut?: import('./color/gamut.js').Gamut | null
+ *  gamut_mapping?: import('./color/gamut.js').GamutMapping
+ *  hue_interpolation?: import('./color/interpolate.js').HueInterpolation
+ *  solution?: import('./color/generate.js').Solution
+ *  viewing_conditions?: import('./color/viewing.js').ViewingConditions | null
+ * }} ColorConfig
+ */
+
+/**
+ * @typedef {{
+ *  version: number
+ *  colors: ColorConfig[]
+ *  background_color: ColorConfig | string
+ *  lightness?: number
+ *  contrast?: number
+ *  saturation?: number | null
+ *  algorithm?: import('./color/contrast.js').ContrastAlgorithm
+ *  output_format?: import('./color/space.js').OutputColorSpace
+ *  fallback?: import('./color/space.js').OutputColorSpace | null
+ *  on_unreachable?: import('./color/generate.js').UnreachablePolicy
+ *  modes?: Record<string, import('./theme.js').ThemeMode> | null
+ *  surfaces?: Record<string, import('./color/background.js').Surface> | null
+ *  naming?: import('./color/naming.js').NamingScheme
+ *  roles?: Record<string, import('./color/roles.js').Role> | null
+ * }} ThemeConfig
+ */
+
+/**
+ * asserts a condition about a config field is truthy,
+ *  throwing an error pointing at the field otherwise
+ * 
+ * @param {boolean | any} cond 
+ * @param {string} path -- path to the field, e.g. `colors[0].key_colors`
+ * @param {string} message 
+ */
+function check(cond, path, message) {
+  if (!cond) { throw new Error(`invalid config: ${path || '<root>'}: ${message}`) }
+}
+
+/** @type {(x: any) => boolean} */
+const is_object = x => x !== null && typeof x === 'object' && !Array.isArray(x)
+
+/** @type {(path: string, k: string | number) => string} */
+const field = (path, k) => typeof k === 'number'
+  ? `${path}[${k}]`
+  : path ? `${path}.${k}` : k
+
+/**
+ * @param {Record<string, any>} o 
+ * @param {string[]} ks -- allowed keys
+ * @param {string} path 
+ */
+function check_keys(o, ks, path) {
+  Object.keys(o).forEach(k => check(ks.includes(k), field(path, k), `unknown field`))
+}
+
+/**
+ * validates a color config
+ * 
+ * @param {any} o 
+ * @param {string} [path='']
+ * @returns {ColorConfig}
+ */
+export function validate_color_config(o, path = '') {
+  check(is_object(o), path, `should be an object`)
+  check_keys(o, ['name', 'key_colors', 'color_space', 'ratios', 'smooth', 'curve', 'saturation', 'alpha', 'gamut', 'gamut_mapping', 'hue_interpolation', 'solution', 'viewing_conditions'], path)
+
+  const { name, key_colors, color_space, ratios, smooth, curve, saturation, alpha, gamut, gamut_mapping, hue_interpolation, solution, viewing_conditions } = o
+  check(typeof name === 'string' && name, field(path, 'name'), `should be a non-empty string`)
+
+  check(Array.isArray(key_colors), field(path, 'key_colors'), `should be an array of color strings`)
+  key_colors.forEach((c, i) =>
+    check(typeof c === 'string' && chroma.valid(c), field(field(path, 'key_colors'), i), `invalid color "${c}"`))
+
+  check(INTERPOLATION_COLOR_SPACES.hasOwnProperty(color_space), field(path, 'color_space'), `color space "${color_space}" not supported`)
+
+  if (Array.isArray(ratios)) {
+    ratios.forEach((r, i) => check(typeof r === 'number', field(field(path, 'ratios'), i), `should be a number`))
+  } else {
+    check(is_object(ratios), field(path, 'ratios'), `should be an array of numbers or a mapping of names to numbers`)
+    Object.entries(ratios).forEach(([k, r]) => check(typeof r === 'number', field(field(path, 'ratios'), k), `should be a number`))
+  }
+
+  check(smooth === undefined || typeof smooth === 'boolean', field(path, 'smooth'), `should be a boolean`)
+  check(curve === undefined || CURVES.includes(curve), field(path, 'curve'), `should be one of ${CURVES.map(c => `"${c}"`).join(', ')}`)
+  check(saturation === undefined || saturation === null || typeof saturation === 'number' && between(0, saturation, 100), field(path, 'saturation'), `should either be null or a number between 0 and 100`)
+  check(alpha === undefined || alpha === null || alpha === 'variable' || typeof alpha === 'number' && between(0, alpha, 1), field(path, 'alpha'), `should either be null, "variable", or a number between 0 and 1`)
+  check(gamut === undefined || gamut === null || GAMUTS.includes(gamut), field(path, 'gamut'), `should either be null or one of ${GAMUTS.map(g => `"${g}"`).join(', ')}`)
+  check(gamut_mapping === undefined || GAMUT_MAPPINGS.hasOwnProperty(gamut_mapping), field(path, 'gamut_mapping'), `gamut mapping "${gamut_mapping}" not supported`)
+  check(hue_interpolation === undefined || HUE_INTERPOLATIONS.hasOwnProperty(hue_interpolation), field(path, 'hue_interpolation'), `hue interpolation "${hue_interpolation}" not supported`)
+  check(solution === undefined || SOLUTIONS.hasOwnProperty(solution), field(path, 'solution'), `solution "${solution}" not supported`)
+  check(viewing_conditions === undefined || viewing_conditions === null || is_viewing_conditions(viewing_conditions), field(path, 'viewing_conditions'), `should either be null or an object with a white_point, adapting_luminance, background_luminance, surround and/or discounting`)
+  return o
+}
+
+/**
+ * validates a theme config of the current version
+ * 
+ * @param {any} o 
+ * @returns {ThemeConfig}
+ */
+export function validate_theme_config(o) {
+  check(is_object(o), '', `should be an object`)
+  check_keys(o, ['version', 'colors', 'background_color', 'lightness', 'contrast', 'saturation', 'algorithm', 'output_format', 'fallback', 'modes', 'on_unreachable', 'surfaces', 'naming', 'roles', 'background_color_value'], '')
+
+  const { version, colors, background_color, lightness, contrast, saturation, algorithm, output_format, fallback, modes, on_unreachable, surfaces, naming, roles } = o
+  check(version === CONFIG_VERSION, 'version', `should be ${CONFIG_VERSION}`)
+
+  check(Array.isArray(colors), 'colors', `should be an array of color configs`)
+  colors.forEach((c, i) => validate_color_config(c, field('colors', i)))
+
+  if (typeof background_color === 'string') {
+    check(chroma.valid(background_color), 'background_color', `invalid color "${background_color}"`)
+  } else {
+    check(is_object(background_color), 'background_color', `should be a color string or a color config`)
+    validate_color_config(background_color, 'background_color')
+  }
+
+  check(lightness === undefined || typeof lightness === 'number' && between(0, lightness, 100), 'lightness', `should be a number between 0 and 100`)
+  check(contrast === undefined || typeof contrast === 'number', 'contrast', `should be a number`)
+  check(saturation === undefined || saturation === null || typeof saturation === 'number' && between(0, saturation, 100), 'saturation', `should either be null or a number between 0 and 100`)
+  check(algorithm === undefined || CONTRAST_ALGORITHMS.has(algorithm), 'algorithm', `contrast algorithm "${algorithm}" not supported`)
+  check(output_format === undefined || OUTPUT_COLOR_SPACES.hasOwnProperty(output_format), 'output_format', `output format "${output_format}" not supported`)
+  check(fallback === undefined || fallback === null || OUTPUT_COLOR_SPACES.hasOwnProperty(fallback) && !WIDE_GAMUT_OUTPUT_COLOR_SPACES.hasOwnProperty(fallback), 'fallback', `should either be null or an srgb output format`)
+  check(naming === undefined || NAMING_SCHEMES.hasOwnProperty(naming), 'naming', `should be one of ${Object.keys(NAMING_SCHEMES).map(n => `"${n}"`).join(', ')}`)
+  check(on_unreachable === undefined || UNREACHABLE_POLICIES.includes(on_unreachable), 'on_unreachable', `should be one of ${UNREACHABLE_POLICIES.map(p => `"${p}"`).join(', ')}`)
+
+  if (modes !== undefined && modes !== null) {
+    check(is_object(modes), 'modes', `should either be null or a mapping of mode names to modes`)
+    Object.entries(modes).forEach(([name, mode]) => {
+      const path = field('modes', name)
+      check(is_object(mode), path, `should be an object`)
+      check_keys(mode, ['lightness', 'contrast'], path)
+      check(mode.lightness === undefined || typeof mode.lightness === 'number' && between(0, mode.lightness, 100), field(path, 'lightness'), `should be a number between 0 and 100`)
+      check(mode.contrast === undefined || typeof mode.contrast === 'number', field(path, 'contrast'), `should be a number`)
+    })
+  }
+
+  if (surfaces !== undefined && surfaces !== null) {
+    check(is_object(surfaces), 'surfaces', `should either be null or a mapping of surface names to surfaces`)
+    Object.entries(surfaces).forEach(([name, surface]) => {
+      check(is_surface(surface), field('surfaces', name), `should be either { offset: number } or { contrast: number }`)
+    })
+  }
+
+  if (roles !== undefined && roles !== null) {
+    check(is_object(roles), 'roles', `should either be null or a mapping of role names to roles`)
+    Object.entries(roles).forEach(([name, role]) => {
+      check(is_role(role), field('roles', name), `should be either { color: string, contrast: number } or { ref: string }, optionally with { on: string, min: number }`)
+    })
+  }
+  return o
+}
+
+/** @type {(c: any) => any} */
+const color_to_object = c => typeof c?.to_object === 'function' ? c.to_object() : c
+
+/**
+ * migrations from each config version to the next.
+ * `MIGRATIONS[v]` migrates a version `v` config to version `v + 1`
+ * 
+ * @type {((o: Record<string, any>) => Record<string, any>)[]}
+ */
+const MIGRATIONS = [
+  // 0: unversioned `Theme.to_object()` output, which held live `Color` instances
+  ({ colors, background_color, background_color_value, ...o }) => ({
+    ...o,
+    version: 1,
+    colors: Array.isArray(colors) ? colors.map(color_to_object) : colors,
+    background_color: color_to_object(background_color),
+  }),
+]
+
+/**
+ * migrates a theme config of any version to the current version
+ * 
+ * @param {any} o 
+ * @returns {Record<string, any>}
+ */
+export function migrate_theme_config(o) {
+  check(is_object(o), '', `should be an object`)
+  const version = o.version ?? 0
+  check(Number.isInteger(version) && between(0, version, CONFIG_VERSION), 'version', `unsupported config version "${version}" (latest supported: ${CONFIG_VERSION})`)
+  return MIGRATIONS.slice(version).reduce((o, migrate) => migrate(o), o)
+}
+
+/**
+ * migrates and validates a theme config
+ * 
+ * @param {any} o 
+ * @returns {ThemeConfig}
+ */
+export function load_theme_config(o) {
+  return validate_theme_config(migrate_theme_config(o))
+}
@@ -0,0 +1,92 @@
+/**
+ * @overview renders contrast-audit reports (see `Theme.audit`) as markdown or html,
+ *  e.g. to attach to design reviews
+ */
+
+/**
+ * @param {import('../color/audit.js').AuditReport} report 
+ * @returns {{ title: string, summary: string, header: string[], rows: string[][] }}
+ */
+function report_table(report) {
+  const { mode, surface, algorithm, background, thresholds, swatches, summary } = report
+  const context = [mode, surface && `on ${surface}`].filter(Boolean).join(', ')
+  const flags = ({ flags, suggestion }) => [
+    flags.missed_target && 'missed target',
+    flags.unreachable && `unreachable (nearest reachable: ${suggestion})`,
+    flags.below_wcag2 && `below ${thresholds.wcag2}:1`,
+    flags.below_apca && `below Lc ${thresholds.apca}`,
+  ].filter(Boolean).join(', ')
+
+  return {
+    title: `contrast audit${context ? ` (${context})` : ''}`,
+    summary: `background ${background}, targets in ${algorithm}. `
+      + `${summary.total} swatches: ${summary.missed_target} missed their target `
+      + `(${summary.unreachable} of which can't reach it with their color), `
+      + `${summary.below_wcag2} below ${thresholds.wcag2}:1 (wcag2), `
+      + `${summary.below_apca} below Lc ${thresholds.apca} (APCA).`,
+    header: ['swatch', 'value', 'target', 'achieved', 'difference', 'wcag2', 'APCA', 'flags'],
+    rows: swatches.map(s => [
+      s.name,
+      s.value,
+      String(s.target),
+      String(s.achieved[algorithm]),
+      String(s.difference),
+      `${s.achieved.wcag2} (${s.levels.wcag2})`,
+      `Lc ${s.achieved.wcag3} (${s.levels.apca})`,
+      flags(s),
+    ]),
+  }
+}
+
+/**
+ * renders an audit report as a markdown document
+ * 
+ * @param {import('../color/audit.js').AuditReport} report 
+ * @returns {string}
+ */
+export function audit_to_markdown(report) {
+  const { title, summary, header, rows } = report_table(report)
+  const row = cells => `| ${cells.map(c => c.replaceAll('|', '\\|')).join(' | ')} |`
+  return [
+    `## ${title}`,
+    '',
+    summary,
+    '',
+    row(header),
+    row(header.map(_ => '---')),
+    ...rows.map(row),
+  ].join('\n') + '\n'
+}
+
+/** @type {(s: string) => string} */
+const escape_html = s => s
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;')
+
+/**
+ * renders an audit report as an html fragment,
+ *  with a preview of each swatch on the background
+ * 
+ * @param {import('../color/audit.js').AuditReport} report 
+ * @returns {string}
+ */
+export function audit_to_html(report) {
+  const { title, summary, header, rows } = report_table(report)
+  const bg = escape_html(report.background)
+  const cell = (tag, s) => `<${tag}>${escape_html(s)}</${tag}>`
+  const swatch = value => `<td style="background: ${bg}; color: ${escape_html(value)}">Aa</td>`
+  return [
+    `<section class="contrast-audit">`,
+    `  <h2>${escape_html(title)}</h2>`,
+    `  <p>${escape_html(summary)}</p>`,
+    `  <table>`,
+    `    <thead><tr><th></th>${header.map(h => cell('th', h)).join('')}</tr></thead>`,
+    `    <tbody>`,
+    ...rows.map((r, i) => `      <tr${report.swatches[i].flags.missed_target ? ' class="missed"' : ''}>${swatch(report.swatches[i].value)}${r.map(c => cell('td', c)).join('')}</tr>`),
+    `    </tbody>`,
+    `  </table>`,
+    `</section>`,
+  ].join('\n') + '\n'
+}
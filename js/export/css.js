@@ -0,0 +1,180 @@
+import { assert } from '../utils/assert.js'
+import { pipe } from '../utils/fn.js'
+
+/**
+ * @typedef {'kebab' | 'snake' | 'camel' | 'preserve'} NameCasing
+ */
+
+// a hyphen after a separator and before a digit is a minus sign, which stays with its word
+const word_boundary_re = /([a-z])([A-Z])|[\s_-]+?(?=-\d)|(?<![\s_-])[\s_-]+/g
+
+/**
+ * splits a name into its lowercased words,
+ * breaking on camel-case boundaries, whitespace, underscores and hyphens.
+ * digits stay attached to the word they follow (`blue100` is one word),
+ *  as do minus signs (`blue--1.5` is `blue` and `-1.5`)
+ * 
+ * @type {(name: string) => string[]}
+ */
+const words = name => name
+  .replace(word_boundary_re, (_, a, b) => a ? `${a} ${b}` : ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .map(w => w.toLowerCase())
+
+/**
+ * @type {Record<NameCasing, (name: string) => string>}
+ */
+const NAME_CASINGS = {
+  kebab: name => words(name).join('-'),
+  snake: name => words(name).join('_'),
+  camel: name => words(name).map((w, i) => i ? w[0].toUpperCase() + w.slice(1) : w).join(''),
+  preserve: name => name,
+}
+
+/**
+ * escapes text for a double-quoted css string:
+ *  quotes and backslashes, and newlines (which css strings can't hold as is)
+ * 
+ * @type {(text: string) => string}
+ */
+const escape_string = text => text.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')
+
+/**
+ * escapes a custom property name as `CSS.escape` does:
+ *  characters that can't be part of an identifier (e.g. `.` or `/`) are escaped with a backslash,
+ *  and control characters as their code point
+ * 
+ * @see https://drafts.csswg.org/cssom/#serialize-an-identifier
+ * 
+ * @type {(name: string) => string}
+ */
+const escape_ident = name => [...name]
+  .map(c => c === '\0' ? '\ufffd'
+    : /[\x01-\x1f\x7f]/.test(c) ? `\\${c.charCodeAt(0).toString(16)} `
+    : /[\w-]|[^\x00-\x7f]/.test(c) ? c
+    : `\\${c}`)
+  .join('')
+
+/**
+ * formats a set of declarations as a css rule.
+ * at-rule "selectors" (e.g. `@media (prefers-color-scheme: dark)`) wrap a `:root` rule
+ * 
+ * @param {string} selector 
+ * @param {string[]} declarations 
+ * @param {string} indent 
+ * @returns {string}
+ */
+function css_rule(selector, declarations, indent) {
+  if (selector.startsWith('@')) {
+    return css_at_rule(selector, css_rule(':root', declarations, indent), indent)
+  }
+  return `${selector} {\n${declarations.map(d => `${indent}${d}`).join('\n')}\n}`
+}
+
+/**
+ * wraps css rules in an at-rule (e.g. `@media` or `@supports`)
+ * 
+ * @param {string} at_rule 
+ * @param {string} rules 
+ * @param {string} indent 
+ * @returns {string}
+ */
+function css_at_rule(at_rule, rules, indent) {
+  const inner = rules
+    .split('\n')
+    .map(line => line && `${indent}${line}`)
+    .join('\n')
+  return `${at_rule} {\n${inner}\n}`
+}
+
+/**
+ * writes a theme's palette(s) as a stylesheet of css custom properties,
+ * one variable per swatch (plus the background),
+ * formatted in the theme's output format unless otherwise specified.
+ * variable names are escaped where swatch names have characters css identifiers can't hold
+ *  (e.g. `brand/primary100` -> `--brand\/primary100`); swatches whose variables end up the same throw.
+ * 
+ * for themes with modes, each mode's variables are scoped under that mode's selector.
+ * unless specified, the first mode is scoped under `:root`,
+ *  and the rest under `[data-theme="<mode>"]` (with quotes and backslashes in the mode name escaped).
+ * 
+ * for wide gamut output formats (display-p3, rec2020) with a theme fallback format,
+ *  variables are first declared with their srgb fallback values,
+ *  then overridden with their wide gamut values under `@supports`.
+ * 
+ * ```text
+ * param          | type                        | default     | description
+ * --------------------------------------------------------------------------
+ * prefix         | string                      | ""          | prefix for every variable name
+ * casing         | NameCasing                  | "kebab"     | casing to apply to swatch names
+ * selector       | string | { string: string } | ":root"     | selector for the palette, or a mapping of mode names to selectors
+ * output_format  | OutputColorSpace            | <theme's>   | color space to output variable values in
+ * indent         | string                      | "  "        | indentation for declarations
+ * ```
+ * 
+ * @example
+ * ```
+ * to_css(theme, {
+ *   prefix: 'ac',
+ *   selector: { light: ':root', dark: '@media (prefers-color-scheme: dark)' },
+ * })
+ * // :root {
+ * //   --ac-background: rgb(245, 245, 245);
+ * //   --ac-blue100: rgb(0, 143, 255);
+ * // }
+ * // @media (prefers-color-scheme: dark) {
+ * //   :root {
+ * //     ...
+ * ```
+ * 
+ * @param {import('../theme.js').Theme} theme 
+ * @param {{
+ *  prefix?: string
+ *  casing?: NameCasing
+ *  selector?: string | Record<string, string>
+ *  output_format?: import('../color/space.js').OutputColorSpace
+ *  indent?: string
+ * }} [opts] 
+ * @returns {string}
+ */
+export function to_css(theme, { prefix = '', casing = 'kebab', selector, output_format, indent = '  ' } = {}) {
+  assert(NAME_CASINGS.hasOwnProperty(casing), `name casing "${casing}" not supported`)
+
+  const var_name = pipe(
+    NAME_CASINGS[casing],
+    name => prefix ? `--${prefix}-${name}` : `--${name}`,
+    escape_ident,
+  )
+  /** @type {(pairs: Record<string, string>) => string[]} */
+  const declarations = pairs => {
+    const entries = Object.entries(pairs).map(([name, value]) => ({ name, var: var_name(name), value }))
+    // casing can turn different swatch names into the same variable (e.g. dropping separators), checked once escaped
+    const clashes = entries.filter(e => entries.filter(f => f.var === e.var).length > 1)
+    assert(!clashes.length, `swatches have the same css variable name with ${casing} casing: ${clashes.map(e => `"${e.name}" (${e.var})`).join(', ')}`)
+    return entries.map(e => `${e.var}: ${e.value};`)
+  }
+  /** @type {(selector: string, palette: import('../theme.js').Palette) => string} */
+  const palette_rules = (selector, palette) => {
+    const rule = css_rule(selector, declarations(palette.color_pairs), indent)
+    if (!palette.fallback_pairs) { return rule }
+    return [
+      css_rule(selector, declarations(palette.fallback_pairs), indent),
+      css_at_rule(`@supports (color: color(${output_format ?? theme.output_format} 1 1 1))`, rule, indent),
+    ].join('\n\n')
+  }
+
+  if (theme.modes === null) {
+    assert(selector === undefined || typeof selector === 'string', `selector should be a string for themes without modes`)
+    return palette_rules(selector ?? ':root', theme.palette(output_format)) + '\n'
+  }
+
+  assert(selector === undefined || typeof selector === 'object', `selector should be a mapping of mode names to selectors for themes with modes`)
+  return Object.keys(theme.modes)
+    .map((mode, i) => {
+      const mode_selector = selector?.[mode] ?? (i ? `[data-theme="${escape_string(mode)}"]` : ':root')
+      return palette_rules(mode_selector, theme.mode_palette(mode, output_format))
+    })
+    .join('\n\n') + '\n'
+}
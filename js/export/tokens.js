@@ -0,0 +1,176 @@
+import { assert } from '../utils/assert.js'
+import { zip } from '../utils/iter.js'
+
+const whitespace_re = /\s+/g
+const separator_re = /^[-_]/
+
+/**
+ * @typedef {{
+ *  name: string
+ *  swatches: {
+ *    key: string
+ *    name: string
+ *    contrast: number
+ *    value: string
+ *  }[]
+ * }} TokenGroup
+ */
+
+/**
+ * gets a theme palette's colors as groups of swatches,
+ *  each swatch keyed by the name it was given by the theme's naming or by the color's custom ratio keys
+ *  (e.g. `blue100` -> `100`, `blue-4.5` -> `4.5`, `{ text: 4.5 }` -> `text`)
+ * 
+ * @param {import('../theme.js').Theme} theme 
+ * @param {string | undefined} mode 
+ * @param {import('../color/space.js').OutputColorSpace | undefined} output_format 
+ * @returns {{ background: string, groups: TokenGroup[] }}
+ */
+function token_groups(theme, mode, output_format) {
+  const palette = mode === undefined
+    ? theme.palette(output_format)
+    : theme.mode_palette(mode, output_format)
+  const [{ background }, ...colors] = palette.colors
+
+  const groups = zip([theme.colors, colors]).map(([color, { values }]) => {
+    const name = color.name.replace(whitespace_re, '')
+    // swatches named by the theme's naming are prefixed by the color name (and maybe a separator)
+    /** @type {(swatch_name: string) => string} */
+    const key = Array.isArray(color.ratios)
+      ? swatch_name => swatch_name.slice(name.length).replace(separator_re, '')
+      : swatch_name => swatch_name
+    return {
+      name,
+      swatches: values.map(swatch => ({ ...swatch, key: key(swatch.name) })),
+    }
+  })
+  return { background, groups }
+}
+
+/**
+ * design token names can't have `.`s, `{`s or `}`s (which token references use), or start with `$` (reserved for properties),
+ *  so these are replaced with `_` (e.g. `brand.primary` -> `brand_primary`)
+ * 
+ * @see https://tr.designtokens.org/format/#character-restrictions
+ * 
+ * @type {(name: string) => string}
+ */
+const token_name = name => name.replace(/[.{}]|^\$/g, '_')
+
+/**
+ * maps groups of swatches into a token tree, keyed by group and swatch.
+ * names that end up the same (including a group named like the background token) throw
+ * 
+ * @param {TokenGroup[]} groups 
+ * @param {(swatch: TokenGroup['swatches'][number]) => any} f 
+ * @param {(name: string) => string} [encode] -- turns names into names the format allows
+ */
+function map_groups(groups, f, encode = name => name) {
+  /** @type {Map<string, string>} */
+  const group_names = new Map([['background', 'the background']])
+  return Object.fromEntries(groups.map(({ name, swatches }) => {
+    const group = encode(name)
+    assert(!group_names.has(group), `color "${name}" has the same token name ("${group}") as ${group_names.get(group)}`)
+    group_names.set(group, `color "${name}"`)
+
+    /** @type {Map<string, string>} */
+    const keys = new Map()
+    return [group, Object.fromEntries(swatches.map(swatch => {
+      const key = encode(swatch.key)
+      assert(!keys.has(key), `swatches "${keys.get(key)}" and "${swatch.name}" of color "${name}" have the same token name ("${key}")`)
+      keys.set(key, swatch.name)
+      return [key, f(swatch)]
+    }))]
+  }))
+}
+
+/**
+ * exports a theme's palette as W3C Design Tokens Community Group json.
+ * every swatch becomes a `color` token, grouped by color,
+ *  with the target contrast in the token's `$description`.
+ * characters token names can't have are replaced with `_` (see `token_name`).
+ * 
+ * @see https://tr.designtokens.org/format/
+ * 
+ * @example
+ * ```
+ * {
+ *   "background": { "$type": "color", "$value": "#f5f5f5" },
+ *   "blue": {
+ *     "100": { "$type": "color", "$value": "#008fff", "$description": "target contrast 3 (wcag2)" },
+ *   },
+ * }
+ * ```
+ * 
+ * @param {import('../theme.js').Theme} theme 
+ * @param {{
+ *  mode?: string
+ *  output_format?: import('../color/space.js').OutputColorSpace
+ * }} [opts] -- `mode`: mode to export (defaults to the theme itself). `output_format`: defaults to `"hex"`, as required by the spec
+ * @returns {Record<string, any>}
+ */
+export function to_dtcg(theme, { mode, output_format = 'hex' } = {}) {
+  const { background, groups } = token_groups(theme, mode, output_format)
+  return {
+    background: { $type: 'color', $value: background },
+    ...map_groups(groups, ({ value, contrast }) => ({
+      $type: 'color',
+      $value: value,
+      $description: `target contrast ${contrast} (${theme.algorithm})`,
+    }), token_name),
+  }
+}
+
+/**
+ * exports a theme's palette as a Style Dictionary token tree,
+ *  following the category/type/item structure (`color.blue.100`).
+ * as paths are dot-separated, names are encoded as for `to_dtcg`.
+ * 
+ * @see https://amzn.github.io/style-dictionary/#/tokens
+ * 
+ * @param {import('../theme.js').Theme} theme 
+ * @param {{
+ *  mode?: string
+ *  output_format?: import('../color/space.js').OutputColorSpace
+ * }} [opts] -- `mode`: mode to export (defaults to the theme itself). `output_format`: defaults to the theme's output format
+ * @returns {{ color: Record<string, any> }}
+ */
+export function to_style_dictionary(theme, { mode, output_format } = {}) {
+  const { background, groups } = token_groups(theme, mode, output_format)
+  return {
+    color: {
+      background: { value: background, type: 'color' },
+      ...map_groups(groups, ({ value, contrast }) => ({
+        value,
+        type: 'color',
+        comment: `target contrast ${contrast} (${theme.algorithm})`,
+      }), token_name),
+    },
+  }
+}
+
+/**
+ * exports a theme's palette as a Tailwind `theme.colors` object
+ * 
+ * @example
+ * ```
+ * // tailwind.config.js
+ * export default {
+ *   theme: { extend: { colors: to_tailwind(theme) } },
+ * }
+ * ```
+ * 
+ * @param {import('../theme.js').Theme} theme 
+ * @param {{
+ *  mode?: string
+ *  output_format?: import('../color/space.js').OutputColorSpace
+ * }} [opts] -- `mode`: mode to export (defaults to the theme itself). `output_format`: defaults to the theme's output format
+ * @returns {Record<string, string | Record<string, string>>}
+ */
+export function to_tailwind(theme, { mode, output_format } = {}) {
+  const { background, groups } = token_groups(theme, mode, output_format)
+  return {
+    background,
+    ...map_groups(groups, ({ value }) => value),
+  }
+}
@@ -13,6 +13,8 @@ export type ColorSpace =
     | "cam16"
     | "cam16p"
     | "hct"
+    | "display-p3"
+    | "rec2020"
 
 export type InterpolationColorSpace = Extract<ColorSpace,
     | "rgb"
@@ -38,11 +40,84 @@ export type OutputColorSpace = Extract<ColorSpace,
     | "lch"
     | "oklab"
     | "oklch"
+    | "display-p3"
+    | "rec2020"
 >
 
+export type WideGamutOutputColorSpace = Extract<OutputColorSpace, "display-p3" | "rec2020">
+
+export type Gamut = "srgb" | "display-p3" | "rec2020"
+
+export type GamutMapping = "clip" | "css" | "chroma"
+
+export type CurveName = "linear" | "catmull-rom" | "monotone-cubic" | "b-spline"
+
+export type Easing = (t: number) => number
+
+export type Curve = CurveName | Easing | [Easing, Easing, Easing]
+
+export type Solution = "nearest" | "chromatic" | "key-color"
+
+export type SwatchSolution = {
+    color: import('chroma-js').Color
+    position: number
+    contrast: number
+    reachable: boolean
+}
+
+export type ContrastRange = { min: number, max: number }
+
+export type UnreachablePolicy = "ignore" | "warn" | "throw"
+
+export type HueInterpolation = "shorter" | "longer" | "increasing" | "decreasing"
+
+export type Surround = "average" | "dim" | "dark"
+
+export type WhitePoint = "A" | "C" | "D50" | "D55" | "D65" | "D75"
+
+export type ViewingConditions = {
+    white_point?: WhitePoint | [x: number, y: number, z: number]
+    adapting_luminance?: number
+    background_luminance?: number
+    surround?: Surround
+    discounting?: boolean
+}
+
+export type GamutReport = {
+    gamut: Gamut
+    gamut_mapping: GamutMapping
+    samples: number
+    out_of_gamut: number
+    max_delta_e: number
+    ranges: { start: number, end: number, max_delta_e: number }[]
+}
+
 export type ContrastAlgorithm =
     | "wcag2"
     | "wcag3"
+    | "bpca"
+    | "weber"
+    | "michelson"
+    | (string & {})
+
+type Rgb255 = [r255: number, g255: number, b255: number]
+
+export type ContrastAlgorithmDefinition = {
+    contrast: (color: Rgb255, base: Rgb255) => number
+    luminance: (color: Rgb255) => number
+    polarity: "signed" | "unsigned"
+    min_ratio: number
+    neutral_ratio: number
+    name_scale: { negative: number, step: number }
+    tolerance: number
+}
+
+export const CONTRAST_ALGORITHMS: Map<ContrastAlgorithm, ContrastAlgorithmDefinition>
+
+export function register_contrast_algorithm(
+    name: string,
+    definition: Pick<ContrastAlgorithmDefinition, "contrast" | "luminance"> & Partial<ContrastAlgorithmDefinition>,
+): void
 
 type LightnessDistribution = 
     | 'linear'
@@ -51,14 +126,23 @@ type LightnessDistribution =
 
 type Ratios = number[] | Record<string, number>
 
+export type ColorAlpha = null | number | 'variable'
+
 export class Color {
-    constructor({ name, key_colors, color_space, ratios, smooth, saturation }: {
+    constructor({ name, key_colors, color_space, ratios, smooth, curve, saturation, alpha, gamut, gamut_mapping, hue_interpolation, solution, viewing_conditions }: {
         name: string
         key_colors: string[]
         color_space: InterpolationColorSpace
         ratios: Ratios
         smooth?: boolean
+        curve?: Curve
         saturation?: number | null
+        alpha?: ColorAlpha
+        gamut?: Gamut | null
+        gamut_mapping?: GamutMapping
+        hue_interpolation?: HueInterpolation
+        solution?: Solution
+        viewing_conditions?: ViewingConditions | null
     })
     clone(): Color
 
@@ -69,24 +153,35 @@ export class Color {
     get ratios(): Ratios
     get saturation(): number | null
     get smooth(): boolean
+    get curve(): Curve
+    get alpha(): ColorAlpha
+    get gamut(): Gamut | null
+    get gamut_mapping(): GamutMapping
+    get hue_interpolation(): HueInterpolation
+    get solution(): Solution
+    get viewing_conditions(): ViewingConditions | null
 
     with_name(name: string): this
     with_key_colors(key_colors: string[]): this
     with_color_space(color_space: InterpolationColorSpace): this
     with_ratios(ratios: Ratios): this
     with_smooth(smooth: boolean): this
+    with_curve(curve: Curve): this
     with_saturation(saturation?: number | null): this
+    with_alpha(alpha: ColorAlpha): this
+    with_gamut(gamut: Gamut | null): this
+    with_gamut_mapping(gamut_mapping: GamutMapping): this
+    with_hue_interpolation(hue_interpolation: HueInterpolation): this
+    with_solution(solution: Solution): this
+    with_viewing_conditions(viewing_conditions: ViewingConditions | null): this
 
     get_color_scale(granularity?: number): (d: number) => import('chroma-js').Color
+    gamut_report(opts?: { samples?: number }): GamutReport
+    contrast_range(background: string, opts?: { algorithm?: ContrastAlgorithm }): ContrastRange
 
-    to_object(): {
-        name: string
-        key_colors: string[]
-        color_space: InterpolationColorSpace
-        ratios: Ratios
-        smooth: boolean
-        saturation: number | null
-    }
+    to_object(): Required<ColorConfig>
+    static from_object(o: ColorConfig): Color
+    static from_json(json: string): Color
     #private
 }
 
@@ -99,6 +194,12 @@ export class Theme {
         saturation?: number | null
         algorithm?: ContrastAlgorithm
         output_format?: OutputColorSpace
+        fallback?: Exclude<OutputColorSpace, WideGamutOutputColorSpace> | null
+        modes?: Record<string, ThemeMode> | null
+        on_unreachable?: UnreachablePolicy
+        surfaces?: Record<string, Surface> | null
+        naming?: NamingScheme | Naming
+        roles?: Record<string, Role> | null
     })
 
     get colors(): Color[]
@@ -108,6 +209,12 @@ export class Theme {
     get saturation(): number | null
     get algorithm(): ContrastAlgorithm
     get output_format(): OutputColorSpace
+    get fallback(): Exclude<OutputColorSpace, WideGamutOutputColorSpace> | null
+    get modes(): Record<string, ThemeMode> | null
+    get on_unreachable(): UnreachablePolicy
+    get surfaces(): Record<string, Surface> | null
+    get naming(): NamingScheme | Naming
+    get roles(): Record<string, Role> | null
     get background_color_value(): string
 
     with_colors(colors: Color[]): this
@@ -117,32 +224,129 @@ export class Theme {
     with_saturation(saturation: number | null): this
     with_algorithm(algorithm: ContrastAlgorithm): this
     with_output_format(fmt: OutputColorSpace): this
+    with_fallback(fmt: Exclude<OutputColorSpace, WideGamutOutputColorSpace> | null): this
+    with_modes(modes: Record<string, ThemeMode> | null): this
+    with_on_unreachable(policy: UnreachablePolicy): this
+    with_surfaces(surfaces: Record<string, Surface> | null): this
+    with_naming(naming: NamingScheme | Naming): this
+    with_roles(roles: Record<string, Role> | null): this
 
-    palette(output_format?: OutputColorSpace): {
-        colors: [OutputBackgroundColor, ...OutputColor[]]
-        color_pairs: Record<string, string>
-        color_values: string[]
-    }
+    palette(output_format?: OutputColorSpace): Palette
+    mode_palette(mode: string, output_format?: OutputColorSpace): Palette
+    palettes(output_format?: OutputColorSpace): Record<string, Palette>
+    surface_colors(opts?: { mode?: string, output_format?: OutputColorSpace }): Record<string, string>
+    surface_palette(surface: string, opts?: { mode?: string, output_format?: OutputColorSpace }): Palette
+    palette_async(opts?: {
+        output_format?: OutputColorSpace
+        mode?: string
+        surface?: string
+        signal?: AbortSignal
+        worker?: PaletteWorker
+    }): Promise<Palette>
 
-    to_object(): {
-        colors: Color[]
-        background_color: Color
-        lightness: number
-        contrast: number
-        saturation: number | null
-        algorithm: ContrastAlgorithm
-        output_format: OutputColorSpace
-        background_color_value: string
-    }
+    audit(opts?: {
+        mode?: string
+        surface?: string
+        output_format?: OutputColorSpace
+        tolerance?: number
+        thresholds?: { wcag2?: number, apca?: number }
+    }): AuditReport
+
+    font_sizes(opts?: {
+        mode?: string
+        surface?: string
+        output_format?: OutputColorSpace
+    }): { color: string, name: string, value: string, fonts: ApcaFonts }[]
+
+    role_colors(opts?: { mode?: string, output_format?: OutputColorSpace }): Record<string, string>
+    resolve_roles(opts?: { mode?: string, output_format?: OutputColorSpace }): ResolvedRole[]
+    check_roles(opts?: { output_format?: OutputColorSpace }): (ResolvedRole & { mode: string | null })[]
+
+    material_scheme(opts?: {
+        palettes?: Partial<Record<MaterialPalette, string>>
+        mode?: string
+        output_format?: OutputColorSpace
+    }): Record<MaterialRole, string>
+
+    contrast_ranges(opts?: { mode?: string, surface?: string }): ({ color: string } & ContrastRange)[]
+
+    to_object(): Required<ThemeConfig> & { background_color_value: string }
+    static from_object(o: any): Theme
+    static from_json(json: string): Theme
     #private
 }
 
+export const CONFIG_VERSION: number
+
+export type ColorConfig = {
+    name: string
+    key_colors: string[]
+    color_space: InterpolationColorSpace
+    ratios: Ratios
+    smooth?: boolean
+    curve?: CurveName
+    saturation?: number | null
+    alpha?: ColorAlpha
+    gamut?: Gamut | null
+    gamut_mapping?: GamutMapping
+    hue_interpolation?: HueInterpolation
+    solution?: Solution
+    viewing_conditions?: ViewingConditions | null
+}
+
+export type ThemeConfig = {
+    version: number
+    colors: ColorConfig[]
+    background_color: ColorConfig | string
+    lightness?: number
+    contrast?: number
+    saturation?: number | null
+    algorithm?: ContrastAlgorithm
+    output_format?: OutputColorSpace
+    fallback?: Exclude<OutputColorSpace, WideGamutOutputColorSpace> | null
+    modes?: Record<string, ThemeMode> | null
+    on_unreachable?: UnreachablePolicy
+    surfaces?: Record<string, Surface> | null
+    naming?: NamingScheme
+    roles?: Record<string, Role> | null
+}
+
+export type Surface = { offset: number } | { contrast: number }
+
+export type Role =
+    | { color: string, contrast: number, on?: string, min?: number }
+    | { ref: string, on?: string, min?: number }
+
+export type ResolvedRole = {
+    name: string
+    value: string
+    on: string
+    background: string
+    contrast: number
+    min: number | null
+    passes: boolean
+}
+
+export type ThemeMode = {
+    lightness?: number
+    contrast?: number
+}
+
+export type Palette = {
+    colors: [OutputBackgroundColor, ...OutputColor[]]
+    color_pairs: Record<string, string>
+    color_values: string[]
+    fallback_pairs?: Record<string, string>
+}
+
 export type OutputColor = {
     name: string
     values: {
         name: string
         contrast: number
         value: string
+        fallback?: string
+        fonts?: ApcaFonts
     }[]
 }
 
@@ -161,12 +365,34 @@ export function luminance(color: [r255: number, g255: number, b255: number], alg
 
 export function ratio_names(ratios: number[], algorithm: ContrastAlgorithm): string[]
 
+export type NamingScheme = "ratio" | "tailwind" | "contrast" | "lightness" | "stable"
+
+export type NamingContext = {
+    name: string
+    ratios: number[]
+    algorithm: ContrastAlgorithm
+    colors: import('chroma-js').Color[]
+    background: string
+}
+
+export type Naming = (context: NamingContext) => string[]
+
+export const NAMING_SCHEMES: Record<NamingScheme, { separator: string, uses_colors: boolean, keys: Naming }>
+
 export function is_positive_ratio(algorithm: ContrastAlgorithm): (r: number) => boolean
 
 export function min_positive_ratio(ratios: number[], algorithm: ContrastAlgorithm): number
 
 export function fmt_color(color: string, output_format: OutputColorSpace): string
 
+export const GAMUTS: Gamut[]
+
+export const GAMUT_MAPPINGS: Record<GamutMapping, (rgb: [r255: number, g255: number, b255: number], gamut: Gamut) => [r: number, g: number, b: number]>
+
+export function in_gamut(rgb: [r255: number, g255: number, b255: number], gamut: Gamut): boolean
+
+export function gamut_map(rgb: [r255: number, g255: number, b255: number], gamut: Gamut): [r: number, g: number, b: number]
+
 export function color_scale<AsFn extends boolean = false>(
     granularity: number,
     key_colors: string[],
@@ -175,8 +401,223 @@ export function color_scale<AsFn extends boolean = false>(
         shift?: number
         full_scale?: boolean
         smooth?: boolean
+        curve?: Curve
         distribute_lightness?: LightnessDistribution
         sort_color?: boolean
+        gamut?: Gamut | null
+        gamut_mapping?: GamutMapping
+        hue_interpolation?: HueInterpolation
+        viewing_conditions?: ViewingConditions | null
         as_fn?: AsFn
     }
-): AsFn extends false ? string[] : (d: number) => import('chroma-js').Color
\ No newline at end of file
+): AsFn extends false ? string[] : (d: number) => import('chroma-js').Color
+
+export const CURVES: CurveName[]
+
+export const SOLUTIONS: Record<Solution, (
+    candidate: { position: number, color: import('chroma-js').Color },
+    context: { closest_position: number, key_colors: string[] },
+) => number>
+
+export type PaletteWorker = {
+    generate(job: {
+        color: Color
+        bg_rgb_arr: [r: number, g: number, b: number]
+        base_v: number
+        ratio_values: number[]
+        algorithm: ContrastAlgorithm
+    }, signal?: AbortSignal): Promise<SwatchSolution[]>
+    terminate(): void
+}
+
+export function create_palette_worker(): Promise<PaletteWorker>
+
+export const HUE_INTERPOLATIONS: Record<HueInterpolation, (h0: number, h1: number) => number>
+
+export const WHITE_POINTS: Record<WhitePoint, [x: number, y: number, z: number]>
+
+export const SURROUNDS: Surround[]
+
+export function interpolate(
+    color0: string | import('chroma-js').Color,
+    color1: string | import('chroma-js').Color,
+    t: number,
+    color_space: InterpolationColorSpace,
+    opts?: { hue?: HueInterpolation, easing?: Easing | [Easing, Easing, Easing], viewing_conditions?: ViewingConditions | null },
+): import('chroma-js').Color
+
+export type Harmony = "complementary" | "analogous" | "triadic" | "split-complementary" | "tetradic"
+
+export const HARMONIES: Record<Harmony, number[]>
+
+export function harmonious_colors(
+    brand: string,
+    opts?: {
+        harmony?: Harmony
+        space?: "oklch" | "hct"
+        seed?: number
+        variation?: number
+        ratios?: number[] | Record<string, number>
+    },
+): Color[]
+
+export type MaterialPalette = "primary" | "secondary" | "tertiary" | "error" | "neutral" | "neutral_variant"
+
+export type MaterialRole =
+    | "primary"
+    | "onPrimary"
+    | "primaryContainer"
+    | "onPrimaryContainer"
+    | "inversePrimary"
+    | "secondary"
+    | "onSecondary"
+    | "secondaryContainer"
+    | "onSecondaryContainer"
+    | "tertiary"
+    | "onTertiary"
+    | "tertiaryContainer"
+    | "onTertiaryContainer"
+    | "error"
+    | "onError"
+    | "errorContainer"
+    | "onErrorContainer"
+    | "background"
+    | "onBackground"
+    | "surface"
+    | "onSurface"
+    | "inverseSurface"
+    | "inverseOnSurface"
+    | "surfaceVariant"
+    | "onSurfaceVariant"
+    | "outline"
+    | "outlineVariant"
+    | "shadow"
+    | "scrim"
+
+export const MATERIAL_TONES: number[]
+
+export const MATERIAL_PALETTES: MaterialPalette[]
+
+export const MATERIAL_ROLES: Record<MaterialRole, [palette: MaterialPalette, light: number, dark: number]>
+
+export function tonal_palette(color: Color, opts?: { tones?: number[], output_format?: OutputColorSpace }): Record<number, string>
+
+export function material_colors(source: string, opts?: { ratios?: number[] | Record<string, number> }): Record<MaterialPalette, Color>
+
+export function material_scheme(
+    palettes: Record<MaterialPalette, Color>,
+    opts?: { dark?: boolean, output_format?: OutputColorSpace },
+): Record<MaterialRole, string>
+
+export type NameCasing =
+    | "kebab"
+    | "snake"
+    | "camel"
+    | "preserve"
+
+export function to_css(theme: Theme, opts?: {
+    prefix?: string
+    casing?: NameCasing
+    selector?: string | Record<string, string>
+    output_format?: OutputColorSpace
+    indent?: string
+}): string
+
+type TokenExportOptions = {
+    mode?: string
+    output_format?: OutputColorSpace
+}
+
+export function to_dtcg(theme: Theme, opts?: TokenExportOptions): {
+    background: { $type: "color", $value: string }
+} & Record<string, Record<string, { $type: "color", $value: string, $description: string }>>
+
+export function to_style_dictionary(theme: Theme, opts?: TokenExportOptions): {
+    color: {
+        background: { value: string, type: "color" }
+    } & Record<string, Record<string, { value: string, type: "color", comment: string }>>
+}
+
+export function to_tailwind(theme: Theme, opts?: TokenExportOptions): {
+    background: string
+} & Record<string, Record<string, string>>
+
+export type Wcag2Level = "AAA" | "AA" | "AA large" | "fail"
+export type ApcaLevel = "fluent" | "body" | "content" | "large" | "spot" | "non-text" | "fail"
+
+export const WCAG2_LEVELS: [Wcag2Level, number][]
+export const APCA_LEVELS: [ApcaLevel, number][]
+
+export function wcag2_level(contrast: number): Wcag2Level
+export function apca_level(contrast: number): ApcaLevel
+
+export type AuditSwatch = {
+    color: string
+    name: string
+    value: string
+    target: number
+    achieved: { wcag2: number, wcag3: number } & Record<ContrastAlgorithm, number>
+    difference: number
+    suggestion: number | null
+    levels: { wcag2: Wcag2Level, apca: ApcaLevel }
+    flags: { missed_target: boolean, unreachable: boolean, below_wcag2: boolean, below_apca: boolean }
+}
+
+export type AuditReport = {
+    mode: string | null
+    surface: string | null
+    algorithm: ContrastAlgorithm
+    background: string
+    thresholds: { wcag2: number, apca: number }
+    tolerance: number
+    swatches: AuditSwatch[]
+    summary: { total: number, missed_target: number, unreachable: number, below_wcag2: number, below_apca: number }
+}
+
+export function audit_to_markdown(report: AuditReport): string
+export function audit_to_html(report: AuditReport): string
+
+export type ContrastMatrix = {
+    algorithm: ContrastAlgorithm
+    names: string[]
+    contrasts: Record<string, Record<string, number>>
+}
+
+export function contrast_matrix(palette: Palette, algorithm?: ContrastAlgorithm): ContrastMatrix
+export function levels_on(matrix: ContrastMatrix, background: string): Record<string, string[]>
+export function usable_on(matrix: ContrastMatrix, background: string, level: Wcag2Level | ApcaLevel): string[]
+
+export type FontWeight = 100 | 200 | 300 | 400 | 500 | 600 | 700 | 800 | 900
+
+export type ApcaFonts = {
+    lc: number
+    sizes: Record<FontWeight, number | null>
+    uses: ApcaLevel[]
+}
+
+export function apca_font_lookup(lc: number): ApcaFonts
+
+export type ColorVisionDeficiency = "protanopia" | "deuteranopia" | "tritanopia" | "achromatopsia"
+
+export const COLOR_VISION_DEFICIENCIES: ColorVisionDeficiency[]
+
+export function simulate_cvd(rgb: Rgb255, type: ColorVisionDeficiency, severity?: number): Rgb255
+
+export function simulate_palette(palette: Palette, type: ColorVisionDeficiency, opts?: {
+    severity?: number
+    output_format?: OutputColorSpace
+}): Palette
+
+export type CvdConflict = {
+    type: ColorVisionDeficiency
+    a: string
+    b: string
+    delta_e: number
+    original_delta_e: number
+}
+
+export function cvd_conflicts(palette: Palette, opts?: {
+    types?: ColorVisionDeficiency[]
+    severity?: number
+    threshold?: number
+}): CvdConflict[]
@@ -1,6 +1,23 @@
 export { Theme } from './theme.js'
 export { Color } from './color/color.js'
+export { CONFIG_VERSION } from './config.js'
 
-export { contrast, luminance, ratio_names, is_positive_ratio, min_positive_ratio } from './color/contrast.js'
+export { contrast, luminance, ratio_names, is_positive_ratio, min_positive_ratio, register_contrast_algorithm, CONTRAST_ALGORITHMS } from './color/contrast.js'
 export { fmt_color } from './color/fmt.js'
-export { color_scale } from './color/scale.js'
+export { NAMING_SCHEMES } from './color/naming.js'
+export { GAMUTS, GAMUT_MAPPINGS, in_gamut, gamut_map } from './color/gamut.js'
+export { CURVES, color_scale } from './color/scale.js'
+export { HUE_INTERPOLATIONS, interpolate } from './color/interpolate.js'
+export { WHITE_POINTS, SURROUNDS } from './color/viewing.js'
+export { HARMONIES, harmonious_colors } from './color/harmony.js'
+export { MATERIAL_TONES, MATERIAL_PALETTES, MATERIAL_ROLES, tonal_palette, material_colors, material_scheme } from './color/material.js'
+export { SOLUTIONS } from './color/generate.js'
+export { create_palette_worker } from './worker/client.js'
+export { WCAG2_LEVELS, APCA_LEVELS, wcag2_level, apca_level } from './color/audit.js'
+export { contrast_matrix, levels_on, usable_on } from './color/matrix.js'
+export { apca_font_lookup } from './color/fonts.js'
+export { COLOR_VISION_DEFICIENCIES, simulate_cvd, simulate_palette, cvd_conflicts } from './color/cvd.js'
+
+export { to_css } from './export/css.js'
+export { to_dtcg, to_style_dictionary, to_tailwind } from './export/tokens.js'
+export { audit_to_markdown, audit_to_html } from './export/audit.js'
@@ -11,8 +11,9 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-import { range, repeat } from '../utils/iter.js'
-import { dist, neg, add, mul, div } from './point.js'
+import { range, unzip } from '../utils/iter.js'
+import { clamp } from './math.js'
+import { neg, add, mul, div } from './point.js'
 
 /**
  * @typedef {[
@@ -48,63 +49,174 @@ export function catmull_to_bezier(cps) {
 }
 
 /**
- * approximates the length of a cubic bezier
+ * converts a uniform cubic b-spline into a sequence of cubic bezier curves.
+ * the end control points are tripled so the spline starts and ends on them,
+ *  but it only passes near the control points in between (never overshooting them)
  * 
- * @param {CubicBezier} curve 
- * @param {number} [steps=10] 
- * @returns 
+ * @param {import('./point.js').Point[]} cps -- b-spline's control points
+ * @returns {CubicBezier[]}
+ */
+export function b_spline_to_bezier(cps) {
+  const padded = [cps[0], cps[0], ...cps, cps.at(-1), cps.at(-1)]
+  return range(padded.length - 3)
+    .map(i => {
+      const [b0, b1, b2, b3] = padded.slice(i, i + 4)
+
+      const p0 = div(add(b0, mul(4, b1), b2), 6)
+      const p1 = div(add(mul(2, b1), b2), 3)
+      const p2 = div(add(b1, mul(2, b2)), 3)
+      const p3 = div(add(b1, mul(4, b2), b3), 6)
+      return [p0, p1, p2, p3]
+    })
+}
+
+/**
+ * fits a curve to points sorted along x, which can then be evaluated at any x
+ *  (within `tolerance` along x, for curves that have to be solved for x)
+ * 
+ * @typedef {(points: import('./point.js').Point[], tolerance?: number) => (x: number) => number} CurveFit
+ */
+
+/**
+ * fits a catmull-rom spline through points sorted along x.
+ * passes through every point, but may overshoot between them
+ * 
+ * @type {CurveFit}
+ */
+export const catmull_rom = (points, tolerance = 1e-6) => points.length === 1
+  ? _ => points[0][1]
+  : bezier_spline(catmull_to_bezier(points), tolerance)
+
+/**
+ * fits a uniform cubic b-spline to points sorted along x.
+ * passes through the first and last points only, staying within the others' bounds
+ * 
+ * @type {CurveFit}
+ */
+export const b_spline = (points, tolerance = 1e-6) => bezier_spline(b_spline_to_bezier(points), tolerance)
+
+/**
+ * fits a monotone cubic (fritsch-carlson) spline through points sorted along x.
+ * passes through every point, and is monotonic wherever the points are, so never overshoots them
+ * 
+ * @see https://en.wikipedia.org/wiki/Monotone_cubic_interpolation
+ * 
+ * @type {CurveFit}
+ */
+export const monotone_cubic = points => {
+  const [xs, ys] = unzip(points)
+  const n = xs.length
+  if (n === 1) { return _ => ys[0] }
+
+  const hs = range(n - 1).map(i => xs[i + 1] - xs[i])
+  // secant slopes. points sharing an x are treated as flat
+  const ds = range(n - 1).map(i => hs[i] ? (ys[i + 1] - ys[i]) / hs[i] : 0)
+  // tangents: flat at local extrema, the average of the secants elsewhere
+  const ms = range(n).map(i =>
+    i === 0 ? ds[0]
+    : i === n - 1 ? ds[n - 2]
+    : ds[i - 1] * ds[i] <= 0 ? 0
+    : (ds[i - 1] + ds[i]) / 2
+  )
+  // then limited so that each segment stays monotonic
+  for (let i = 0; i < n - 1; ++i) {
+    if (ds[i] === 0) {
+      ms[i] = ms[i + 1] = 0
+      continue
+    }
+    const a = ms[i] / ds[i], b = ms[i + 1] / ds[i]
+    const s = a * a + b * b
+    if (s > 9) {
+      const tau = 3 / Math.sqrt(s)
+      ms[i] = tau * a * ds[i]
+      ms[i + 1] = tau * b * ds[i]
+    }
+  }
+
+  const clamp_x = clamp(xs[0], xs[n - 1])
+  return x => {
+    x = clamp_x(x)
+    const i = Math.min(n - 2, Math.max(0, partition_point(xs, xi => xi <= x) - 1))
+    const h = hs[i]
+    if (!h) { return ys[i] }
+    const t = (x - xs[i]) / h
+    const t_2 = t * t
+    const t_3 = t_2 * t
+    // cubic hermite basis
+    return (2 * t_3 - 3 * t_2 + 1) * ys[i]
+      + (t_3 - 2 * t_2 + t) * h * ms[i]
+      + (-2 * t_3 + 3 * t_2) * ys[i + 1]
+      + (t_3 - t_2) * h * ms[i + 1]
+  }
+}
+
+/**
+ * evaluates a sequence of cubic bezier curves, each increasing along x and following on from the previous one, at x
+ *  (on the curve found by binary search over where they end).
+ * x outside of the curves is clamped to their ends
+ * 
+ * @param {CubicBezier[]} curves 
+ * @param {number} tolerance -- how far along x a solution may be from x
+ * @returns {(x: number) => number}
  */
-export function approximate_bezier_len(curve, steps = 10) {
-  let [x, y] = curve[0]
-  let len = 0
-  for (let i = 1; i < steps; ++i) {
-    const p = point_at(curve, i / steps)
-    len += dist([x, y], p)
-    ;[x, y] = p
+function bezier_spline(curves, tolerance) {
+  const ends = curves.map(([_, __, ___, [x3]]) => x3)
+  return x => {
+    const curve = curves[Math.min(curves.length - 1, partition_point(ends, x3 => x3 < x))]
+    return point_at(curve, t_at_x(curve, x, tolerance))[1]
   }
-  len += dist([x, y], curve[3])
-  return len;
 }
 
 /**
+ * solves for t at which a cubic bezier increasing along x reaches x, to within `tolerance` along x.
+ * uses newton's method, falling back to bisection if it doesn't converge (or leaves the curve),
+ *  with a bounded number of iterations either way.
+ * x outside of the curve is clamped to its ends
+ * 
  * @param {CubicBezier} curve 
+ * @param {number} x 
+ * @param {number} [tolerance=1e-6] 
+ * @returns {number}
  */
-export function prepare_curve(curve) {
-  // we take advantage of the fact that we know the curve is strictly increasing along x (?):
-  //  we construct the curve from zip(domains, color_points) and domains is sorted.
-  // as such in turn we know that p{t_i+1}.x > p{t_i}.x
-  
-  // dunno where adobe got this magic number from
-  const len = Math.floor(approximate_bezier_len(curve) * .75)
-
-  /** @type {(number | null)[]} */
-  const lookup = repeat(len + 1)(null)
-  let prev_ind = 0
-  for (let i = 0; i <= len; ++i) {
-    const t = i / len
-    const [x, y] = point_at(curve, t)
-    const ind = Math.round(x)
-    // multiple points may round to the same x.
-    // overriding here is fine because they're usually pretty close together anyway
-    lookup[ind] = y
-    if (ind - prev_ind > 1) {
-      const s = lookup[prev_ind]
-      const f = lookup[ind]
-      for (let j = prev_ind + 1; j < ind; ++j) {
-        lookup[j] = s + ((f - s) / (ind - prev_ind)) * (j - prev_ind)
-      }
-    }
-    prev_ind = ind
+export function t_at_x(curve, x, tolerance = 1e-6) {
+  const [[x0], [x1], [x2], [x3]] = curve
+  if (x <= x0) { return 0 }
+  if (x >= x3) { return 1 }
+
+  /** @type {(t: number) => number} */
+  const x_at = t => {
+    const t1 = 1 - t
+    return t1 * t1 * t1 * x0 + 3 * t1 * t1 * t * x1 + 3 * t1 * t * t * x2 + t * t * t * x3
   }
-  // some x values may have null.
-  // adobe's algorithm iterates through to find the first non-null value in `smoothScale`.
-  // we'll just do that right now, replacing `null` with the first non-null value after it
-  for (let i=lookup.length - 1; i; --i) {
-    if (lookup[i-1] === null && lookup[i] !== null) { lookup[i-1] = lookup[i] }
+  /** @type {(t: number) => number} */
+  const dx_at = t => {
+    const t1 = 1 - t
+    return 3 * t1 * t1 * (x1 - x0) + 6 * t1 * t * (x2 - x1) + 3 * t * t * (x3 - x2)
   }
-  /** @type {(x: number) => number | null} */
-  return (x) => lookup[Math.round(x)] ?? null
-};
+
+  let t = (x - x0) / (x3 - x0)
+  for (let i = 0; i < NEWTON_ITERATIONS; ++i) {
+    const dx = x_at(t) - x
+    if (Math.abs(dx) <= tolerance) { return t }
+    const slope = dx_at(t)
+    if (Math.abs(slope) < 1e-12) { break }
+    t -= dx / slope
+    if (t < 0 || t > 1) { break }
+  }
+
+  let lo = 0, hi = 1
+  for (let i = 0; i < BISECTION_ITERATIONS; ++i) {
+    t = (lo + hi) / 2
+    const dx = x_at(t) - x
+    if (Math.abs(dx) <= tolerance) { break }
+    if (dx < 0) { lo = t } else { hi = t }
+  }
+  return t
+}
+
+const NEWTON_ITERATIONS = 8
+// halving [0, 1] this many times reaches the precision of a double
+const BISECTION_ITERATIONS = 53
 
 /**
  * finds the point along a cubic bezier curve at time t
@@ -123,4 +235,23 @@ function point_at(curve, t) {
   const t1_3 = t1_2 * t1
 
   return add(mul(t1_3, p0), mul(3 * t1_2 * t, p1), mul(3 * t1 * t_2, p2), mul(t_3, p3))
+}
+
+/**
+ * finds, by binary search, the index of the first element of a list for which a predicate doesn't hold
+ *  (the list's length if it holds for all), given that it holds for every element before that one
+ *  (e.g. `x => x < 3` over a sorted list)
+ * 
+ * @template T
+ * @param {T[]} l 
+ * @param {(x: T) => boolean} pred 
+ * @returns {number}
+ */
+function partition_point(l, pred) {
+  let lo = 0, hi = l.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (pred(l[mid])) { lo = mid + 1 } else { hi = mid }
+  }
+  return lo
 }
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * a seeded pseudo-random number generator (mulberry32),
+ *  giving the same sequence of numbers in [0, 1) for the same seed
+ * 
+ * @see https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ * 
+ * @param {number} seed -- an integer
+ * @returns {() => number}
+ */
+export function seeded_random(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -13,15 +13,22 @@ governing permissions and limitations under the License.
 
 import { between, round } from './math/math.js'
 import { assert } from './utils/assert.js'
-import { pipe } from './utils/fn.js'
-import { CONTRAST_ALGORITHMS, multiply_contrast_ratio, ratio_names } from './color/contrast.js'
+import { CONTRAST_ALGORITHMS, contrast as contrast_of, is_darkmode, multiply_contrast_ratio } from './color/contrast.js'
 import { fmt_color } from './color/fmt.js'
-import { generate_colors } from './color/generate.js'
+import { UNREACHABLE_POLICIES, contrast_range, generate_colors, nearest_reachable } from './color/generate.js'
+import { generate_colors_async } from './worker/client.js'
 import { Color } from './color/color.js'
-import { create_background_color_scale } from './color/background.js'
-import { map, unzip, zip } from './utils/iter.js'
-import { COLOR_SPACES } from './color/space.js'
+import { create_background_color_scale, is_surface, surface_lightness } from './color/background.js'
+import { audit_swatches } from './color/audit.js'
+import { apca_fonts } from './color/fonts.js'
+import { composite } from './color/alpha.js'
+import { map, numeric, unzip, zip } from './utils/iter.js'
+import { NAMING_SCHEMES, is_naming, naming_uses_colors, swatch_names } from './color/naming.js'
+import { is_role } from './color/roles.js'
+import { MATERIAL_PALETTES, material_scheme } from './color/material.js'
+import { COLOR_SPACES, OUTPUT_COLOR_SPACES, WIDE_GAMUT_OUTPUT_COLOR_SPACES, output_gamut } from './color/space.js'
 import { chroma, to } from './color/chroma.js'
+import { CONFIG_VERSION, load_theme_config } from './config.js'
 
 const whitespace_re = /\s+/g
 
@@ -40,19 +47,44 @@ export class Theme {
   #algorithm
   /** @type {import('./color/space.js').OutputColorSpace} */
   #output_format
+  /** @type {import('./color/space.js').OutputColorSpace | null} */
+  #fallback = null
+  /** @type {Record<string, ThemeMode> | null} */
+  #modes = null
+  /** @type {import('./color/generate.js').UnreachablePolicy} */
+  #on_unreachable = 'ignore'
+  /** @type {Record<string, import('./color/background.js').Surface> | null} */
+  #surfaces = null
+  /** @type {import('./color/naming.js').NamingScheme | import('./color/naming.js').Naming} */
+  #naming = 'ratio'
+  /** @type {Record<string, import('./color/roles.js').Role> | null} */
+  #roles = null
 
   /** @type {string[]} */
   #_background_color_scale = null
   /** @type {string} */
   #_background_color_value = null
+  /** @type {null | Palette} */
+  #_output = null
   /**
-   * @type {null | {
-   *  colors: [OutputBackgroundColor, ...OutputColor[]]
-   *  color_pairs: Record<string, string>
-   *  color_values: string[]
-   * }}
+   * generated swatches, keyed by mode and surface (see `swatches_key`)
+   * @type {Map<string, ThemeSwatches>}
    */
-  #_output = null
+  #_swatches = new Map()
+  /**
+   * resolved roles, keyed by mode name (`null` being the theme's own lightness and contrast)
+   * @type {Map<string | null, import('./color/roles.js').RoleSwatch[]>}
+   */
+  #_roles = new Map()
+  /**
+   * generated swatches of each color, keyed by mode and surface (see `swatches_key`),
+   *  along with the inputs they were generated from.
+   * these outlive the theme's own caches, so that only colors whose inputs changed are regenerated
+   * @type {WeakMap<import('./color/color.js').Color, Map<string, { key: SwatchesKey, swatches: ThemeSwatches['colors'][number] }>>}
+   */
+  #_color_swatches = new WeakMap()
+  /** incremented whenever the theme's output is invalidated */
+  #_generation = 0
 
   /**
    * define a theme with the specified parameters
@@ -67,6 +99,12 @@ export class Theme {
    * saturation       | null | number: [0, 100] | null        | how much to desaturate all theme colors (100 = default saturation; null = don't apply desaturation at all)
    * algorithm        | ContrastAlgorithm       | "wcag3"     | color contrast algorithm
    * output_format    | OutputColorSpace        | "rgb"       | color space to output palette colors to 
+   * fallback         | null | OutputColorSpace | null        | srgb color space to output fallback values to, for wide gamut output formats (display-p3, rec2020)
+   * modes            | { string: ThemeMode }   | null        | named modes (e.g. light/dark), each overriding the theme's lightness and/or contrast
+   * on_unreachable   | UnreachablePolicy       | "ignore"    | whether to ignore, warn about ("warn") or throw on ("throw") target ratios that can't be reached
+   * surfaces         | { string: Surface }     | null        | named layered backgrounds (e.g. raised, overlay, sunken), relative to the background
+   * naming           | NamingScheme | Naming   | "ratio"     | how to name swatches of colors with arrays of ratios: a naming scheme, or a callback giving names
+   * roles            | { string: Role }        | null        | named semantic roles (e.g. text-primary, danger-bg), resolved for every mode
    * ```
    * 
    * 
@@ -78,10 +116,16 @@ export class Theme {
    *  saturation?: number | null
    *  algorithm?: import('./color/contrast.js').ContrastAlgorithm
    *  output_format?: import('./color/space.js').OutputColorSpace
+   *  fallback?: import('./color/space.js').OutputColorSpace | null
+   *  modes?: Record<string, ThemeMode> | null
+   *  on_unreachable?: import('./color/generate.js').UnreachablePolicy
+   *  surfaces?: Record<string, import('./color/background.js').Surface> | null
+   *  naming?: import('./color/naming.js').NamingScheme | import('./color/naming.js').Naming
+   *  roles?: Record<string, import('./color/roles.js').Role> | null
    * }} opts 
    */
   constructor(opts) {
-    const { colors, background_color, lightness = 100, contrast = 1, saturation = null, algorithm = 'wcag3', output_format = 'rgb' } = opts
+    const { colors, background_color, lightness = 100, contrast = 1, saturation = null, algorithm = 'wcag3', output_format = 'rgb', fallback = null, modes = null, on_unreachable = 'ignore', surfaces = null, naming = 'ratio', roles = null } = opts
     
     this.with_colors(colors)
     this.with_lightness(lightness)
@@ -89,7 +133,13 @@ export class Theme {
     this.with_saturation(saturation)
     this.with_algorithm(algorithm)
     this.with_output_format(output_format)
+    this.with_fallback(fallback)
     this.with_background_color(background_color)
+    this.with_modes(modes)
+    this.with_on_unreachable(on_unreachable)
+    this.with_surfaces(surfaces)
+    this.with_naming(naming)
+    this.with_roles(roles)
   }
 
   get colors() { return this.#colors }
@@ -99,6 +149,12 @@ export class Theme {
   get saturation() { return this.#saturation }
   get algorithm() { return this.#algorithm }
   get output_format() { return this.#output_format }
+  get fallback() { return this.#fallback }
+  get modes() { return this.#modes }
+  get on_unreachable() { return this.#on_unreachable }
+  get surfaces() { return this.#surfaces }
+  get naming() { return this.#naming }
+  get roles() { return this.#roles }
   get background_color_value() { return this.#get_background_color_value() }
 
   /** @param {import('./color/color.js').Color[]} colors */
@@ -123,7 +179,7 @@ export class Theme {
     if (typeof background_color === 'string') {
       assert(chroma.valid(background_color), `unrecognized background color string "${background_color}"`)
 
-      this.#set_background_color(new Color({ name: 'background', colorKeys: [background_color], output: 'rgb' }))
+      this.#set_background_color(new Color({ name: 'background', key_colors: [background_color], color_space: 'rgb', ratios: [] }))
       this.#set_lightness(round(to.hsluv(chroma(background_color))[2]))
     } else {
       this.#set_background_color(background_color.clone())
@@ -164,7 +220,13 @@ export class Theme {
     return this
   }
 
-  /** @param {import('./color/space.js').OutputColorSpace} fmt */
+  /**
+   * swatches reach their target ratios as the output format emits them:
+   *  gamut mapped into display-p3 or rec2020 for those formats, and into srgb for every other format.
+   *  palettes in another output format (and srgb fallback values) are formatted from the same swatches
+   * 
+   * @param {import('./color/space.js').OutputColorSpace} fmt
+   */
   with_output_format(fmt) {
     assert(COLOR_SPACES.hasOwnProperty(fmt), `output format "${fmt}" not supported`)
 
@@ -172,71 +234,774 @@ export class Theme {
     return this
   }
 
+  /**
+   * output srgb fallback values alongside wide gamut (display-p3, rec2020) palette values,
+   *  for environments that do not support them.
+   * fallback values are gamut mapped into srgb, rather than clipped
+   * 
+   * @param {import('./color/space.js').OutputColorSpace | null} fmt
+   */
+  with_fallback(fmt) {
+    assert(fmt === null || OUTPUT_COLOR_SPACES.hasOwnProperty(fmt) && !WIDE_GAMUT_OUTPUT_COLOR_SPACES.hasOwnProperty(fmt), `fallback should either be null or an srgb output format`)
+
+    this.#set_fallback(fmt)
+    return this
+  }
+
+  /**
+   * define named modes for the theme.
+   * each mode shares the theme's colors and background color,
+   * but may override the lightness of the background and the contrast multiplier.
+   * 
+   * @example
+   * ```
+   * theme.with_modes({
+   *   light: { lightness: 97 },
+   *   dark: { lightness: 8, contrast: 1.2 },
+   * })
+   * ```
+   * 
+   * @param {Record<string, ThemeMode> | null} modes
+   */
+  with_modes(modes) {
+    assert(modes === null || typeof modes === 'object' && !Array.isArray(modes), `modes should either be null or a mapping of mode names to modes`)
+    if (modes !== null) {
+      assert(Object.keys(modes).length, `modes should define at least one mode`)
+      Object.entries(modes).forEach(([name, mode]) => {
+        assert(mode && typeof mode === 'object', `mode "${name}" should be an object`)
+        const { lightness, contrast } = mode
+        assert(lightness === undefined || typeof lightness === 'number' && between(0, lightness, 100), `mode "${name}": lightness should be a number between 0 and 100`)
+        assert(contrast === undefined || typeof contrast === 'number', `mode "${name}": contrast should be a number`)
+      })
+    }
+
+    this.#set_modes(modes)
+    return this
+  }
+
+  /**
+   * what to do with target ratios that can't be reached with their color and the background,
+   *  when generating swatches: nothing (`"ignore"`; audits still flag them), log a warning (`"warn"`), or throw (`"throw"`).
+   * warnings and errors suggest the nearest reachable ratio.
+   * 
+   * targets are only checked as swatches are generated (e.g. by `palette()`), not when they're set:
+   *  `with_contrast`, `with_lightness` or a color's `with_ratios` accept unreachable targets,
+   *  and swatches reused from the cache aren't checked (or warned about) again.
+   *  `contrast_ranges()` gives the targets that can be reached up front
+   * 
+   * @param {import('./color/generate.js').UnreachablePolicy} policy
+   */
+  with_on_unreachable(policy) {
+    assert(UNREACHABLE_POLICIES.includes(policy), `on_unreachable should be one of ${UNREACHABLE_POLICIES.map(p => `"${p}"`).join(', ')}`)
+
+    this.#set_on_unreachable(policy)
+    return this
+  }
+
+  /**
+   * define named surfaces: layered backgrounds (e.g. page, raised card, overlay, sunken well)
+   *  drawn from the background color scale, relative to the background.
+   * surfaces move with the background between modes, and swatches can be generated against any of them.
+   * positive offsets (in steps of lightness) and contrasts (under the theme's algorithm)
+   *  move away from the nearer end of the scale, i.e. darker on light backgrounds and lighter on dark ones
+   * 
+   * @example
+   * ```
+   * theme.with_surfaces({
+   *   raised: { offset: -3 },
+   *   overlay: { offset: -6 },
+   *   sunken: { offset: 4 },
+   *   divider: { contrast: 1.5 },
+   * })
+   * ```
+   * 
+   * @param {Record<string, import('./color/background.js').Surface> | null} surfaces
+   */
+  with_surfaces(surfaces) {
+    assert(surfaces === null || typeof surfaces === 'object' && !Array.isArray(surfaces), `surfaces should either be null or a mapping of surface names to surfaces`)
+    if (surfaces !== null) {
+      Object.entries(surfaces).forEach(([name, surface]) => {
+        assert(is_surface(surface), `surface "${name}" should be either { offset: number } or { contrast: number }`)
+      })
+    }
+
+    this.#set_surfaces(surfaces)
+    return this
+  }
+
+  /**
+   * how to name the swatches of colors with arrays of ratios (colors with custom ratio keys are named by those):
+   *  a naming scheme (see `NAMING_SCHEMES`), or a callback giving the keys appended to each color's name.
+   * every mode and surface shares the names of the theme's own swatches
+   * 
+   * @example
+   * ```
+   * theme.with_naming('tailwind') // blue50, blue500, blue950
+   * theme.with_naming(({ ratios }) => ratios.map(r => `-${r}:1`)) // blue-3:1, blue-4.5:1
+   * ```
+   * 
+   * @param {import('./color/naming.js').NamingScheme | import('./color/naming.js').Naming} naming
+   */
+  with_naming(naming) {
+    assert(is_naming(naming), `naming should be a function or one of ${Object.keys(NAMING_SCHEMES).map(n => `"${n}"`).join(', ')}`)
+
+    this.#set_naming(naming)
+    return this
+  }
+
+  /**
+   * define named semantic roles (e.g. `text-primary`, `border-subtle`, `danger-bg`) for components to use instead of swatch names.
+   * a role is either a theme color at a target contrast, or a reference to another role, a swatch, a surface or the background;
+   *  it's used `on` the background (by default), a surface or another role,
+   *  and may state a `min`imum contrast against it, which `check_roles` checks for every mode
+   * 
+   * @example
+   * ```
+   * theme.with_roles({
+   *   'text-primary': { color: 'grey', contrast: 12, min: 7 },
+   *   'link': { ref: 'blue300', min: 4.5 },
+   *   'danger-bg': { color: 'red', contrast: 1.3 },
+   *   'danger-text': { color: 'red', contrast: 5, on: 'danger-bg', min: 4.5 },
+   * })
+   * ```
+   * 
+   * @param {Record<string, import('./color/roles.js').Role> | null} roles
+   */
+  with_roles(roles) {
+    assert(roles === null || typeof roles === 'object' && !Array.isArray(roles), `roles should either be null or a mapping of role names to roles`)
+    if (roles !== null) {
+      Object.entries(roles).forEach(([name, role]) => {
+        assert(is_role(role), `role "${name}" should be either { color: string, contrast: number } or { ref: string }, optionally with { on: string, min: number }`)
+      })
+    }
+
+    this.#set_roles(roles)
+    return this
+  }
+
   /**
    * get the color palette given the current theme configuration,
    * in the specified color space (or the theme's specified color space, if not defined).
    * 
    * @param {import('./color/space.js').OutputColorSpace} [output_format]
    * 
-   * @returns {{
-   *  colors: [OutputBackgroundColor, ...OutputColor[]]
-   *  color_pairs: Record<string, string>
-   *  color_values: string[]
-   * }}
+   * @returns {Palette}
    */
   palette(output_format) {
-    if (this.#_output !== null) { return this.#_output }
-    const bg_rgb_arr = chroma(this.#get_background_color_value()).rgb()
-    const base_v = this.#lightness / 100
-    const formatted_bg_color_value = fmt_color(this.#get_background_color_value(), this.#output_format)
-  
-    const [palette_colors, unflattened_palette_color_pairs, unflattened_palette_color_values] =
-      unzip(this.#colors.map(color => {
-        const name = color.name.replace(whitespace_re, '')
-  
-        /**@type {[string[], number[]]} */
-        const [swatch_names, ratio_values] = pipe(
-          ratios => Array.isArray(ratios)
-            ? [ratio_names(ratios, this.#algorithm).map(r => `${name}${r}`), ratios]
-            : unzip(Object.entries(ratios)),
-          // modify target ratio based on contrast multiplier
-          ([_, ratios]) => [_, ratios.map(ratio => multiply_contrast_ratio(+ratio, this.#contrast))],
-        )(color.ratios)
-  
-        const contrast_colors = generate_colors(color, bg_rgb_arr, base_v, ratio_values, this.#algorithm)
-          .map((clr) => fmt_color(clr, output_format ?? this.#output_format))
-  
-        const color_objs = zip([contrast_colors, ratio_values, swatch_names])
-          .map(([value, ratio, name]) => ({ name, contrast: ratio, value }))
-  
-        const output_color = { name: color.name, values: color_objs }
-        const output_color_pairs = color_objs.map(o => /**@type {[string, string]} */( [o.name, o.value] ))
-        const output_color_values = color_objs.map(o => o.value)
-        return /**@type {const} */( [output_color, output_color_pairs, output_color_values] )
-      }))
-    
-    const base_obj = { background: formatted_bg_color_value }
-    const output_colors = [base_obj, ...palette_colors]
-    const output_color_pairs = { ...base_obj, ...Object.fromEntries(unflattened_palette_color_pairs.flat()) }
-    const output_color_values = unflattened_palette_color_values.flat()
+    const fmt = output_format ?? this.#output_format
+    if (fmt === this.#output_format && this.#_output !== null) { return this.#_output }
+
+    const output = fmt_palette(this.#get_swatches(null), fmt, this.#fallback)
+    if (fmt === this.#output_format) { this.#_output = output }
+    return output
+  }
+
+  /**
+   * get the color palette of a single mode of the theme
+   * 
+   * @param {string} mode
+   * @param {import('./color/space.js').OutputColorSpace} [output_format]
+   * @returns {Palette}
+   */
+  mode_palette(mode, output_format) {
+    assert(this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    return fmt_palette(this.#get_swatches(mode), output_format ?? this.#output_format, this.#fallback)
+  }
+
+  /**
+   * get the color palettes of every mode of the theme, keyed by mode name.
+   * swatch names are shared across all modes.
+   * 
+   * @param {import('./color/space.js').OutputColorSpace} [output_format]
+   * @returns {Record<string, Palette>}
+   */
+  palettes(output_format) {
+    assert(this.#modes !== null, `theme has no modes defined`)
+    return Object.fromEntries(
+      Object.keys(this.#modes).map(mode => [mode, this.mode_palette(mode, output_format)])
+    )
+  }
+
+  /**
+   * get the background colors of the theme's surfaces (of the theme, or of one of its modes), keyed by surface name
+   * 
+   * @param {{
+   *  mode?: string
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   * }} [opts]
+   * @returns {Record<string, string>}
+   */
+  surface_colors({ mode, output_format } = {}) {
+    assert(this.#surfaces !== null, `theme has no surfaces defined`)
+    assert(mode === undefined || this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    return Object.fromEntries(Object.keys(this.#surfaces).map(surface => [
+      surface,
+      fmt_color(this.#swatch_context(mode ?? null, surface).background, output_format ?? this.#output_format),
+    ]))
+  }
+
+  /**
+   * get the color palette of the theme (or of one of its modes) with swatches generated against one of its surfaces,
+   *  rather than the background itself. the palette's background is the surface
+   * 
+   * @param {string} surface
+   * @param {{
+   *  mode?: string
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   * }} [opts]
+   * @returns {Palette}
+   */
+  surface_palette(surface, { mode, output_format } = {}) {
+    assert(this.#surfaces !== null && this.#surfaces.hasOwnProperty(surface), `surface "${surface}" not defined`)
+    assert(mode === undefined || this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    return fmt_palette(this.#get_swatches(mode ?? null, surface), output_format ?? this.#output_format, this.#fallback)
+  }
+
+  /**
+   * get the color palette (of the theme, or of one of its modes) without blocking:
+   *  either in a `worker` (see `create_palette_worker`), or yielding to the event loop between colors.
+   *
+   * only colors whose inputs changed since they were last generated are regenerated,
+   *  so e.g. changing one color's ratios doesn't regenerate the others.
+   * generating stops (rejecting with the signal's reason) once `signal` is aborted,
+   *  e.g. when a newer slider value makes the palette being generated stale
+   *
+   * @param {{
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   *  mode?: string
+   *  surface?: string
+   *  signal?: AbortSignal
+   *  worker?: import('./worker/client.js').PaletteWorker
+   * }} [opts]
+   * @returns {Promise<Palette>}
+   */
+  async palette_async({ output_format, mode, surface, signal, worker } = {}) {
+    const m = mode ?? null
+    const s = surface ?? null
+    assert(m === null || (this.#modes !== null && this.#modes.hasOwnProperty(m)), `mode "${m}" not defined`)
+    assert(s === null || (this.#surfaces !== null && this.#surfaces.hasOwnProperty(s)), `surface "${s}" not defined`)
+    const fmt = output_format ?? this.#output_format
+    const own = m === null && s === null && fmt === this.#output_format
+    if (own && this.#_output !== null) { return this.#_output }
+
+    const generation = this.#_generation
+    const swatches = await this.#get_swatches_async(m, s, { signal, worker })
+    const output = fmt_palette(swatches, fmt, this.#fallback)
+    if (own && generation === this.#_generation) { this.#_output = output }
+    return output
+  }
+
+  /**
+   * audits the contrast of the theme's generated swatches against the background.
+   * 
+   * for every swatch, reports the target ratio, the contrast achieved under both wcag2 and APCA,
+   *  and the difference between the achieved and target contrast (under the theme's algorithm).
+   * swatches are flagged if they missed their target by more than `tolerance`,
+   *  or fall below the `thresholds` for wcag2 (ratio; default 4.5, i.e. AA) or APCA (Lc; default 60).
+   * 
+   * the report can be rendered with `audit_to_markdown` / `audit_to_html`.
+   * 
+   * @param {{
+   *  mode?: string
+   *  surface?: string
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   *  tolerance?: number
+   *  thresholds?: { wcag2?: number, apca?: number }
+   * }} [opts] 
+   * @returns {import('./color/audit.js').AuditReport}
+   */
+  audit({ mode, surface, ...opts } = {}) {
+    assert(mode === undefined || this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    assert(surface === undefined || this.#surfaces !== null && this.#surfaces.hasOwnProperty(surface), `surface "${surface}" not defined`)
+    const [m, s] = [mode ?? null, surface ?? null]
+    const { base_v } = this.#swatch_context(m, s)
+    return audit_swatches(this.#get_swatches(m, s), base_v, this.#algorithm, {
+      output_format: this.#output_format,
+      ...opts,
+      mode: m,
+      surface: s,
+    })
+  }
+
+  /**
+   * APCA font size recommendations for every swatch used as text on the background:
+   *  the minimum font size for each font weight (100-900) allowed by the APCA font lookup table,
+   *  and the use cases (e.g. body text, large text, spot text, non-text) the swatch's contrast allows.
+   * 
+   * for themes using the `wcag3` algorithm, these are also included in the palette output.
+   * 
+   * @param {{
+   *  mode?: string
+   *  surface?: string
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   * }} [opts] 
+   * @returns {{ color: string, name: string, value: string, fonts: import('./color/fonts.js').ApcaFonts }[]}
+   */
+  font_sizes({ mode, surface, output_format } = {}) {
+    assert(mode === undefined || this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    assert(surface === undefined || this.#surfaces !== null && this.#surfaces.hasOwnProperty(surface), `surface "${surface}" not defined`)
+    const { background, colors } = this.#get_swatches(mode ?? null, surface ?? null)
+    const bg_rgb_arr = chroma(background).rgb()
+    const fmt = output_format ?? this.#output_format
+    return colors.flatMap(({ name: color, values }) => values.map(({ name, color: c, fonts }) => ({
+      color,
+      name,
+      value: fmt_color(c, fmt),
+      fonts: fonts ?? apca_fonts(composite(c, bg_rgb_arr, output_gamut(fmt)), bg_rgb_arr),
+    })))
+  }
+
+  /**
+   * the theme's roles (of the theme, or of one of its modes) resolved to colors, keyed by role name
+   * 
+   * @param {{
+   *  mode?: string
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   * }} [opts]
+   * @returns {Record<string, string>}
+   */
+  role_colors({ mode, output_format } = {}) {
+    return Object.fromEntries(this.resolve_roles({ mode, output_format }).map(({ name, value }) => [name, value]))
+  }
+
+  /**
+   * resolves the theme's roles (of the theme, or of one of its modes):
+   *  each role's color, what it's used on, its contrast against it (under the theme's algorithm),
+   *  and whether that meets the role's minimum contrast (if any)
+   * 
+   * @param {{
+   *  mode?: string
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   * }} [opts]
+   * @returns {import('./color/roles.js').ResolvedRole[]}
+   */
+  resolve_roles({ mode, output_format } = {}) {
+    assert(this.#roles !== null, `theme has no roles defined`)
+    assert(mode === undefined || this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    const fmt = output_format ?? this.#output_format
+    return this.#get_roles(mode ?? null).map(({ name, on, color, background, contrast, min, passes }) => ({
+      name,
+      value: fmt_color(color, fmt),
+      on,
+      background: fmt_color(background, fmt),
+      contrast,
+      min,
+      passes,
+    }))
+  }
+
+  /**
+   * checks that every role reaches its minimum contrast against what it's used on, in every mode
+   *  (or in the theme itself, for themes without modes), returning the roles that don't
+   * 
+   * @param {{ output_format?: import('./color/space.js').OutputColorSpace }} [opts]
+   * @returns {(import('./color/roles.js').ResolvedRole & { mode: string | null })[]}
+   */
+  check_roles({ output_format } = {}) {
+    const modes = this.#modes === null ? [undefined] : Object.keys(this.#modes)
+    return modes.flatMap(mode => this.resolve_roles({ mode, output_format })
+      .filter(role => !role.passes)
+      .map(role => ({ ...role, mode: mode ?? null })))
+  }
+
+  /**
+   * a material 3 scheme (see `material_scheme`) from the theme's colors, for the theme or one of its modes:
+   *  dark if the mode's background is.
+   * `palettes` maps material's palettes to theme colors, by default the theme colors of the same name
+   *  (e.g. from `material_colors`)
+   * 
+   * @param {{
+   *  palettes?: Partial<Record<import('./color/material.js').MaterialPalette, string>>
+   *  mode?: string
+   *  output_format?: import('./color/space.js').OutputColorSpace
+   * }} [opts]
+   * @returns {Record<import('./color/material.js').MaterialRole, string>}
+   */
+  material_scheme({ palettes = {}, mode, output_format } = {}) {
+    assert(mode === undefined || this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    const colors = Object.fromEntries(MATERIAL_PALETTES.map(palette => {
+      const name = palettes[palette] ?? palette
+      const color = this.#colors.find(c => c.name === name)
+      assert(color !== undefined, `color "${name}" (for material palette "${palette}") not defined`)
+      return [palette, color]
+    }))
+    const { base_v } = this.#swatch_context(mode ?? null)
+    return material_scheme(/**@type{Record<import('./color/material.js').MaterialPalette, Color>}*/(colors), {
+      dark: is_darkmode(base_v),
+      output_format: output_format ?? this.#output_format,
+    })
+  }
 
-    this.#_output = { colors: output_colors, color_pairs: output_color_pairs, color_values: output_color_values }
-    return this.#_output
+  /**
+   * the range of contrast against the background that can be reached along each color's scale,
+   *  under the theme's algorithm.
+   * target ratios (after the contrast multiplier) outside of a color's range can't be reached
+   * 
+   * @param {{ mode?: string, surface?: string }} [opts] 
+   * @returns {({ color: string } & import('./color/generate.js').ContrastRange)[]}
+   */
+  contrast_ranges({ mode, surface } = {}) {
+    assert(mode === undefined || this.#modes !== null && this.#modes.hasOwnProperty(mode), `mode "${mode}" not defined`)
+    assert(surface === undefined || this.#surfaces !== null && this.#surfaces.hasOwnProperty(surface), `surface "${surface}" not defined`)
+    const { bg_rgb_arr, base_v } = this.#swatch_context(mode ?? null, surface ?? null)
+    return this.#colors.map(color => ({
+      color: color.name,
+      ...contrast_range(color, bg_rgb_arr, base_v, this.#algorithm, { gamut: output_gamut(this.#output_format) }),
+    }))
   }
 
+  /**
+   * serializes the theme into a versioned, json-safe theme config,
+   *  which can be loaded back with `Theme.from_object`
+   * 
+   * @returns {import('./config.js').ThemeConfig & { background_color_value: string }}
+   */
   to_object() {
+    assert(typeof this.#naming === 'string', `theme has a naming callback, which can't be serialized`)
+    const eased = [...this.#colors, this.#background_color].filter(color => typeof color.curve !== 'string')
+    assert(!eased.length, `colors with an easing curve can't be serialized: ${eased.map(c => `"${c.name}"`).join(', ')}`)
+
     return {
-      colors: this.colors,
-      background_color: this.background_color,
+      version: CONFIG_VERSION,
+      colors: this.colors.map(color => color.to_object()),
+      background_color: this.background_color.to_object(),
       lightness: this.lightness,
       contrast: this.contrast,
       saturation: this.saturation,
       algorithm: this.algorithm,
       output_format: this.output_format,
+      fallback: this.fallback,
+      modes: structuredClone(this.modes),
+      on_unreachable: this.on_unreachable,
+      surfaces: structuredClone(this.surfaces),
+      naming: this.naming,
+      roles: structuredClone(this.roles),
       background_color_value: this.background_color_value,
     }
   }
 
+  /**
+   * loads a theme from a theme config, as produced by `Theme.to_object`.
+   * configs of older versions are migrated forward;
+   * invalid configs throw an error pointing at the offending field.
+   * 
+   * @param {any} o 
+   * @returns {Theme}
+   */
+  static from_object(o) {
+    const { version, background_color_value, colors, background_color, ...opts } = structuredClone(load_theme_config(o))
+    return new Theme({
+      ...opts,
+      colors: colors.map(color => new Color(color)),
+      background_color: typeof background_color === 'string' ? background_color : new Color(background_color),
+    })
+  }
+
+  /**
+   * loads a theme from a json theme config
+   * 
+   * @param {string} json 
+   * @returns {Theme}
+   */
+  static from_json(json) {
+    return Theme.from_object(JSON.parse(json))
+  }
+
+  /**
+   * resolves the lightness and contrast for a mode
+   * (or for the theme itself, if mode is `null`).
+   * lightness is rounded to a step of the background color scale
+   * 
+   * @param {string | null} mode
+   * @returns {Required<ThemeMode>}
+   */
+  #resolve_mode(mode) {
+    const { lightness = this.#lightness, contrast = this.#contrast } = mode === null ? {} : this.#modes[mode]
+    return { lightness: Math.round(lightness), contrast }
+  }
+
+  /**
+   * generates (or gets the cached) swatches for a mode, against the background or one of the theme's surfaces
+   * 
+   * @param {string | null} mode
+   * @param {string | null} [surface]
+   * @returns {ThemeSwatches}
+   */
+  #get_swatches(mode, surface = null) {
+    const slot = swatches_key(mode, surface)
+    if (this.#_swatches.has(slot)) { return this.#_swatches.get(slot) }
+    const context = this.#swatch_context(mode, surface)
+
+    const colors = this.#colors.map(color => {
+      const key = color_swatches_key(color, context, this.#swatch_settings(slot))
+      const cached = this.#get_cached_color_swatches(color, slot, key)
+      if (cached) { return cached }
+
+      const [names, ratios, ratio_values] = this.#targets(color, context.contrast)
+      const solutions = generate_colors(color, context.bg_rgb_arr, context.base_v, ratio_values, this.#algorithm, { gamut: output_gamut(this.#output_format) })
+      const swatch_names = names ?? this.#swatch_names(color, slot, ratios, solutions, context.background)
+      return this.#set_color_swatches(color, slot, key, this.#color_swatches(color, context, swatch_names, ratio_values, solutions))
+    })
+
+    const swatches = { background: context.background, colors }
+    this.#_swatches.set(slot, swatches)
+    return swatches
+  }
+
+  /**
+   * generates (or gets the cached) swatches for a mode, one color at a time,
+   *  either in a worker or yielding to the event loop between colors.
+   * if the theme changes while generating, the swatches aren't cached
+   * 
+   * @param {string | null} mode
+   * @param {string | null} surface
+   * @param {{ signal?: AbortSignal, worker?: import('./worker/client.js').PaletteWorker }} opts
+   * @returns {Promise<ThemeSwatches>}
+   */
+  async #get_swatches_async(mode, surface, { signal, worker }) {
+    const slot = swatches_key(mode, surface)
+    if (this.#_swatches.has(slot)) { return this.#_swatches.get(slot) }
+    const generation = this.#_generation
+    const context = this.#swatch_context(mode, surface)
+    // names from generated colors come from the theme's own swatches, which are generated first
+    const own = slot !== swatches_key(null, null) && naming_uses_colors(this.#naming)
+      ? await this.#get_swatches_async(null, null, { signal, worker })
+      : null
+
+    const colors = []
+    for (const color of this.#colors) {
+      signal?.throwIfAborted()
+      const key = color_swatches_key(color, context, this.#swatch_settings(slot))
+      const cached = this.#get_cached_color_swatches(color, slot, key)
+      if (cached) {
+        colors.push(cached)
+        continue
+      }
+
+      const [names, ratios, ratio_values] = this.#targets(color, context.contrast)
+      const job = { color, bg_rgb_arr: context.bg_rgb_arr, base_v: context.base_v, ratio_values, algorithm: this.#algorithm, gamut: output_gamut(this.#output_format) }
+      const solutions = worker
+        ? await worker.generate(job, signal)
+        : await generate_colors_async(job, signal)
+      const swatch_names = names ?? this.#swatch_names(color, slot, ratios, solutions, context.background, own)
+      colors.push(this.#set_color_swatches(color, slot, key, this.#color_swatches(color, context, swatch_names, ratio_values, solutions)))
+    }
+    signal?.throwIfAborted()
+
+    const swatches = { background: context.background, colors }
+    if (generation === this.#_generation) { this.#_swatches.set(slot, swatches) }
+    return swatches
+  }
+
+  /**
+   * what generating the swatches of a mode (against the background or a surface) depends on,
+   *  besides the colors themselves
+   * 
+   * @param {string | null} mode
+   * @param {string | null} [surface]
+   * @returns {SwatchContext}
+   */
+  #swatch_context(mode, surface = null) {
+    const { lightness: base_lightness, contrast } = this.#resolve_mode(mode)
+    const scale = this.#get_background_color_scale()
+    const base_background = mode === null ? this.#get_background_color_value() : scale[base_lightness]
+    const lightness = surface === null
+      ? base_lightness
+      : surface_lightness(scale, base_lightness, base_background, this.#surfaces[surface], this.#algorithm)
+    // surfaces that land on the base background (e.g. an offset of 0) are the base background itself
+    const background = lightness === base_lightness ? base_background : scale[lightness]
+    return { background, bg_rgb_arr: chroma(background).rgb(), base_v: lightness / 100, contrast }
+  }
+
+  /**
+   * @param {string} slot -- see `swatches_key`
+   * @returns {SwatchSettings}
+   */
+  #swatch_settings(slot) {
+    const naming_base = slot !== swatches_key(null, null) && naming_uses_colors(this.#naming)
+      ? [this.#get_background_color_value(), this.#lightness, this.#contrast]
+      : null
+    return { algorithm: this.#algorithm, gamut: output_gamut(this.#output_format), on_unreachable: this.#on_unreachable, naming: this.#naming, naming_base }
+  }
+
+  /**
+   * target ratios of a color's swatches: as configured (in ascending order, for arrays of ratios),
+   *  and modified by a contrast multiplier.
+   * colors with custom ratio keys also get those as swatch names (arrays of ratios are named once generated)
+   * 
+   * @param {import('./color/color.js').Color} color
+   * @param {number} contrast
+   * @returns {[names: string[] | null, ratios: number[], ratio_values: number[]]}
+   */
+  #targets(color, contrast) {
+    const [names, ratios] = Array.isArray(color.ratios)
+      // sorted as a copy, leaving the color's ratios as they are
+      ? [null, [...color.ratios].sort(numeric)]
+      : unzip(Object.entries(color.ratios))
+    // modify target ratio based on contrast multiplier
+    return [names, ratios, ratios.map(ratio => multiply_contrast_ratio(+ratio, contrast, this.#algorithm))]
+  }
+
+  /**
+   * names a color's swatches with the theme's naming.
+   * names from generated colors come from the theme's own swatches, so that modes and surfaces share them
+   * 
+   * @param {import('./color/color.js').Color} color
+   * @param {string} slot -- see `swatches_key`
+   * @param {number[]} ratios
+   * @param {import('./color/generate.js').SwatchSolution[]} solutions
+   * @param {string} background
+   * @param {ThemeSwatches | null} [own] -- the theme's own swatches, if already generated
+   * @returns {string[]}
+   */
+  #swatch_names(color, slot, ratios, solutions, background, own = null) {
+    const context = { name: color.name.replace(whitespace_re, ''), ratios, algorithm: this.#algorithm }
+    if (slot === swatches_key(null, null) || !naming_uses_colors(this.#naming)) {
+      return swatch_names(this.#naming, { ...context, background, colors: solutions.map(s => s.color) })
+    }
+    const base = own ?? this.#get_swatches(null)
+    const colors = base.colors[this.#colors.indexOf(color)].values.map(v => v.color)
+    return swatch_names(this.#naming, { ...context, background: base.background, colors })
+  }
+
+  /**
+   * turns the solutions for a color's target ratios into its swatches,
+   *  handling ratios that can't be reached as per `on_unreachable`
+   * 
+   * @param {import('./color/color.js').Color} color
+   * @param {SwatchContext} context
+   * @param {string[]} swatch_names
+   * @param {number[]} ratio_values
+   * @param {import('./color/generate.js').SwatchSolution[]} solutions
+   * @returns {ThemeSwatches['colors'][number]}
+   */
+  #color_swatches(color, { background, bg_rgb_arr, base_v }, swatch_names, ratio_values, solutions) {
+    const gamut = output_gamut(this.#output_format)
+    // only worth sampling the whole scale again if some ratio can't be reached
+    const range = solutions.every(s => s.reachable) ? null : contrast_range(color, bg_rgb_arr, base_v, this.#algorithm, { gamut })
+
+    const values = zip([solutions, ratio_values, swatch_names])
+      .map(([{ color, reachable }, ratio, name]) => reachable
+        ? { name, contrast: ratio, color, reachable }
+        : { name, contrast: ratio, color, reachable, suggestion: nearest_reachable(range, ratio) })
+      // include APCA font size recommendations when contrast values are APCA Lc values
+      .map(swatch => this.#algorithm === 'wcag3'
+        ? { ...swatch, fonts: apca_fonts(composite(swatch.color, bg_rgb_arr, gamut), bg_rgb_arr) }
+        : swatch)
+
+    values.filter(v => !v.reachable).forEach(({ name: swatch, contrast: ratio, suggestion }) => {
+      const message = `swatch "${swatch}" of color "${color.name}" can't reach a contrast of ${ratio} against ${background} `
+        + `(${range.min} to ${range.max} can be reached); the nearest reachable contrast is ${suggestion}`
+      assert(this.#on_unreachable !== 'throw', message)
+      if (this.#on_unreachable === 'warn') { console.warn(message) }
+    })
+
+    return { name: color.name, values }
+  }
+
+  /**
+   * @param {import('./color/color.js').Color} color
+   * @param {string} slot -- see `swatches_key`
+   * @param {SwatchesKey} key
+   * @returns {ThemeSwatches['colors'][number] | null}
+   */
+  #get_cached_color_swatches(color, slot, key) {
+    const cached = this.#_color_swatches.get(color)?.get(slot)
+    return cached && cached.key.json === key.json && cached.key.refs.every((ref, i) => ref === key.refs[i])
+      ? cached.swatches
+      : null
+  }
+
+  /**
+   * @param {import('./color/color.js').Color} color
+   * @param {string} slot -- see `swatches_key`
+   * @param {SwatchesKey} key
+   * @param {ThemeSwatches['colors'][number]} swatches
+   * @returns {ThemeSwatches['colors'][number]}
+   */
+  #set_color_swatches(color, slot, key, swatches) {
+    if (!this.#_color_swatches.has(color)) { this.#_color_swatches.set(color, new Map()) }
+    this.#_color_swatches.get(color).set(slot, { key, swatches })
+    return swatches
+  }
+
+  /**
+   * resolves (or gets the cached) roles for a mode.
+   * roles may refer to each other, but not in a cycle
+   * 
+   * @param {string | null} mode
+   * @returns {import('./color/roles.js').RoleSwatch[]}
+   */
+  #get_roles(mode) {
+    if (this.#_roles.has(mode)) { return this.#_roles.get(mode) }
+    const roles = this.#roles
+    const { contrast: multiplier } = this.#resolve_mode(mode)
+    const gamut = output_gamut(this.#output_format)
+    const is_surface_name = (/** @type {string} */ name) => this.#surfaces !== null && this.#surfaces.hasOwnProperty(name)
+
+    /** @type {Map<string, import('./color/roles.js').RoleSwatch>} */
+    const resolved = new Map()
+
+    /**
+     * what a role is used on
+     * @type {(on: string, path: string[]) => { background: string | import('chroma-js').Color, bg_rgb_arr: [r: number, g: number, b: number], base_v: number | undefined }}
+     */
+    const resolve_on = (on, path) => {
+      if (on === 'background' || is_surface_name(on)) {
+        const { background, bg_rgb_arr, base_v } = this.#swatch_context(mode, on === 'background' ? null : on)
+        return { background, bg_rgb_arr, base_v }
+      }
+      assert(roles.hasOwnProperty(on), `role "${path.at(-1)}" is used on "${on}", which is neither a role, a surface nor the background`)
+      const role = resolve(on, path)
+      // translucent roles are seen composited over what they're used on
+      const bg_rgb_arr = composite(role.color, role.bg_rgb_arr, gamut)
+      return { background: chroma.rgb(...bg_rgb_arr), bg_rgb_arr, base_v: undefined }
+    }
+
+    /** @type {(name: string, path: string[]) => import('./color/roles.js').RoleSwatch} */
+    const resolve = (name, path) => {
+      if (resolved.has(name)) { return resolved.get(name) }
+      assert(!path.includes(name), `roles refer to each other in a cycle: ${[...path, name].map(n => `"${n}"`).join(' -> ')}`)
+      path = [...path, name]
+
+      const role = roles[name]
+      const on = role.on ?? 'background'
+      const { background, bg_rgb_arr, base_v } = resolve_on(on, path)
+
+      /** @type {string | import('chroma-js').Color} */
+      let color
+      if (role.ref === undefined) {
+        const c = this.#colors.find(c => c.name === role.color)
+        assert(c, `role "${name}": color "${role.color}" not defined`)
+        const ratio = multiply_contrast_ratio(role.contrast, multiplier, this.#algorithm)
+        color = generate_colors(c, bg_rgb_arr, base_v, [ratio], this.#algorithm, { gamut })[0].color
+      } else if (role.ref === 'background') {
+        color = this.#swatch_context(mode).background
+      } else if (roles.hasOwnProperty(role.ref)) {
+        color = resolve(role.ref, path).color
+      } else if (is_surface_name(role.ref)) {
+        color = this.#swatch_context(mode, role.ref).background
+      } else {
+        // swatches generated against what the role is used on (or against the background, for roles used on roles)
+        const swatches = this.#get_swatches(mode, is_surface_name(on) ? on : null)
+        const swatch = swatches.colors.flatMap(c => c.values).find(v => v.name === role.ref)
+        assert(swatch, `role "${name}" refers to "${role.ref}", which is neither a role, a swatch, a surface nor the background`)
+        color = swatch.color
+      }
+
+      const contrast = round(contrast_of(composite(color, bg_rgb_arr, gamut), bg_rgb_arr, base_v, this.#algorithm), 2)
+      const min = role.min ?? null
+      /** @type {import('./color/roles.js').RoleSwatch} */
+      const swatch = { name, on, color, background, bg_rgb_arr, contrast, min, passes: min === null || Math.abs(contrast) >= min }
+      resolved.set(name, swatch)
+      return swatch
+    }
+
+    const swatches = Object.keys(roles).map(name => resolve(name, []))
+    this.#_roles.set(mode, swatches)
+    return swatches
+  }
+
   /** @returns {string[]} */
   #get_background_color_scale() {
     if (this.#_background_color_scale !== null) { return this.#_background_color_scale }
@@ -246,7 +1011,7 @@ export class Theme {
   /** @returns {string} */
   #get_background_color_value() {
     if (this.#_background_color_value !== null) { return this.#_background_color_value }
-    this.#set_background_color_value(this.#get_background_color_scale()[this.#lightness])
+    this.#set_background_color_value(this.#get_background_color_scale()[Math.round(this.#lightness)])
     return this.#_background_color_value
   }
 
@@ -280,6 +1045,36 @@ export class Theme {
     this.#output_format = fmt
     this.#_invalidate_output()
   }
+  /** @param {import('./color/space.js').OutputColorSpace | null} fmt */
+  #set_fallback(fmt) {
+    this.#fallback = fmt
+    this.#_invalidate_output()
+  }
+  /** @param {Record<string, ThemeMode> | null} modes */
+  #set_modes(modes) {
+    this.#modes = modes
+    this.#_invalidate_output()
+  }
+  /** @param {import('./color/generate.js').UnreachablePolicy} policy */
+  #set_on_unreachable(policy) {
+    this.#on_unreachable = policy
+    this.#_invalidate_output()
+  }
+  /** @param {Record<string, import('./color/background.js').Surface> | null} surfaces */
+  #set_surfaces(surfaces) {
+    this.#surfaces = surfaces
+    this.#_invalidate_output()
+  }
+  /** @param {import('./color/naming.js').NamingScheme | import('./color/naming.js').Naming} naming */
+  #set_naming(naming) {
+    this.#naming = naming
+    this.#_invalidate_output()
+  }
+  /** @param {Record<string, import('./color/roles.js').Role> | null} roles */
+  #set_roles(roles) {
+    this.#roles = roles
+    this.#_invalidate_output()
+  }
   /** @param {string[]} scale */
   #set_background_color_scale(scale) {
     this.#_background_color_scale = scale
@@ -301,7 +1096,48 @@ export class Theme {
   }
   #_invalidate_output() {
     this.#_output = null
+    this.#_swatches.clear()
+    this.#_roles.clear()
+    this.#_generation += 1
+  }
+}
+
+/**
+ * formats generated swatches into a palette.
+ * for wide gamut output formats, swatches also get a fallback value if a fallback format is given
+ * 
+ * @param {ThemeSwatches} swatches
+ * @param {import('./color/space.js').OutputColorSpace} output_format
+ * @param {import('./color/space.js').OutputColorSpace | null} [fallback]
+ * @returns {Palette}
+ */
+function fmt_palette(swatches, output_format, fallback = null) {
+  const fallback_format = WIDE_GAMUT_OUTPUT_COLOR_SPACES.hasOwnProperty(output_format) ? fallback : null
+  const base_obj = { background: fmt_color(swatches.background, output_format) }
+  const palette_colors = swatches.colors.map(({ name, values }) => ({
+    name,
+    values: values.map(({ name, contrast, color, fonts }) => ({
+      name,
+      contrast,
+      value: fmt_color(color, output_format),
+      ...(fallback_format && { fallback: fmt_color(color, fallback_format) }),
+      ...(fonts && { fonts }),
+    })),
+  }))
+
+  const output_colors = [base_obj, ...palette_colors]
+  const output_color_pairs = { ...base_obj, ...Object.fromEntries(palette_colors.flatMap(c => c.values.map(o => [o.name, o.value]))) }
+  const output_color_values = palette_colors.flatMap(c => c.values.map(o => o.value))
+
+  /** @type {Palette} */
+  const palette = { colors: output_colors, color_pairs: output_color_pairs, color_values: output_color_values }
+  if (fallback_format) {
+    palette.fallback_pairs = {
+      background: fmt_color(swatches.background, fallback_format),
+      ...Object.fromEntries(palette_colors.flatMap(c => c.values.map(o => [o.name, o.fallback]))),
+    }
   }
+  return palette
 }
 
 /**
@@ -311,10 +1147,105 @@ export class Theme {
 *    name: string
 *    contrast: number
 *    value: string
+*    fallback?: string
+*    fonts?: import('./color/fonts.js').ApcaFonts
 *  }[]
 * }} OutputColor
 */
 
 /**
 * @typedef {{ background: string }} OutputBackgroundColor
-*/
\ No newline at end of file
+*/
+
+/**
+ * @typedef {{
+ *  colors: [OutputBackgroundColor, ...OutputColor[]]
+ *  color_pairs: Record<string, string>
+ *  color_values: string[]
+ *  fallback_pairs?: Record<string, string>
+ * }} Palette
+ */
+
+/**
+ * overrides for a named theme mode
+ * @typedef {{
+ *  lightness?: number
+ *  contrast?: number
+ * }} ThemeMode
+ */
+
+/**
+ * what generating the swatches of a mode depends on, besides the colors themselves
+ * @typedef {{
+ *  background: string
+ *  bg_rgb_arr: [r: number, g: number, b: number]
+ *  base_v: number
+ *  contrast: number
+ * }} SwatchContext
+ */
+
+/**
+ * identifies which swatches are cached: those of a mode (`null` being the theme's own lightness and contrast),
+ *  against the background (`null`) or a surface
+ * 
+ * @param {string | null} mode
+ * @param {string | null} surface
+ * @returns {string}
+ */
+const swatches_key = (mode, surface) => JSON.stringify([mode, surface])
+
+/**
+ * identifies everything a color's swatches are generated from.
+ * easing curves and naming callbacks are functions, so are compared by identity (`refs`) rather than serialized
+ * 
+ * @param {import('./color/color.js').Color} color
+ * @param {SwatchContext} context
+ * @param {SwatchSettings} settings
+ * @returns {SwatchesKey}
+ */
+function color_swatches_key(color, { background, base_v, contrast }, { algorithm, gamut, on_unreachable, naming, naming_base }) {
+  const { curve } = color
+  return {
+    json: JSON.stringify([
+      color.name, color.key_colors, color.color_space, color.ratios, typeof curve === 'string' ? curve : null,
+      color.saturation, color.alpha, color.gamut, color.gamut_mapping, color.hue_interpolation, color.solution, color.viewing_conditions,
+      background, base_v, contrast, algorithm, gamut, on_unreachable, typeof naming === 'string' ? naming : null, naming_base,
+    ]),
+    refs: [curve, naming],
+  }
+}
+
+/**
+ * @typedef {{ json: string, refs: any[] }} SwatchesKey
+ */
+
+/**
+ * theme settings a color's swatches are generated with.
+ * swatches named from generated colors take their names from the theme's own swatches,
+ *  so for modes and surfaces, also depend on the theme's own background and contrast (`naming_base`)
+ * @typedef {{
+ *  algorithm: import('./color/contrast.js').ContrastAlgorithm
+ *  gamut: import('./color/gamut.js').Gamut
+ *  on_unreachable: import('./color/generate.js').UnreachablePolicy
+ *  naming: import('./color/naming.js').NamingScheme | import('./color/naming.js').Naming
+ *  naming_base: [background: string, lightness: number, contrast: number] | null
+ * }} SwatchSettings
+ */
+
+/**
+ * generated swatches before being formatted
+ * @typedef {{
+ *  background: string
+ *  colors: {
+ *    name: string
+ *    values: {
+ *      name: string
+ *      contrast: number
+ *      color: import('chroma-js').Color
+ *      reachable: boolean
+ *      suggestion?: number
+ *      fonts?: import('./color/fonts.js').ApcaFonts
+ *    }[]
+ *  }[]
+ * }} ThemeSwatches
+ */
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * @overview generates swatches off the main thread, in a web worker or a node worker thread
+ *  (see `palette_worker.js`), so that e.g. dragging a slider doesn't block rendering.
+ *  jobs are a single color each, and can be cancelled with an `AbortSignal`
+ */
+
+import { chroma, extended_rgb } from '../color/chroma.js'
+import { BUILTIN_CONTRAST_ALGORITHMS } from '../color/contrast.js'
+import { generate_colors } from '../color/generate.js'
+
+/**
+ * the inputs of `generate_colors`
+ *
+ * @typedef {{
+ *  color: import('../color/color.js').Color
+ *  bg_rgb_arr: [r: number, g: number, b: number]
+ *  base_v: number
+ *  ratio_values: number[]
+ *  algorithm: import('../color/contrast.js').ContrastAlgorithm
+ *  gamut?: import('../color/gamut.js').Gamut
+ * }} GenerateJob
+ */
+
+/**
+ * @typedef {{
+ *  generate: (job: GenerateJob, signal?: AbortSignal) => Promise<import('../color/generate.js').SwatchSolution[]>
+ *  terminate: () => void
+ * }} PaletteWorker
+ */
+
+/**
+ * a swatch solution as posted between threads, with its color as extended srgb values
+ *
+ * @typedef {{
+ *  rgb: [r: number, g: number, b: number]
+ *  alpha: number
+ *  position: number
+ *  contrast: number
+ *  reachable: boolean
+ * }} SerializedSolution
+ */
+
+/**
+ * starts a worker to generate swatches in:
+ *  a (module) web worker where `Worker` is available, a worker thread in node otherwise.
+ *
+ * colors with an easing curve and registered (rather than builtin) contrast algorithms
+ *  can't be posted to a worker, and are generated on the calling thread instead.
+ * the worker keeps running until terminated
+ *
+ * @returns {Promise<PaletteWorker>}
+ */
+export async function create_palette_worker() {
+  const url = new URL('./palette_worker.js', import.meta.url)
+  const port = typeof Worker !== 'undefined'
+    ? web_port(new Worker(url, { type: 'module' }))
+    : node_port(new (await import('node:worker_threads')).Worker(url))
+
+  /** @type {Map<number, { resolve: (solutions: import('../color/generate.js').SwatchSolution[]) => void, reject: (reason: any) => void }>} */
+  const pending = new Map()
+  let next_id = 0
+
+  port.on_message(({ type, id, solutions, message }) => {
+    const job = pending.get(id)
+    if (!job) { return }
+    pending.delete(id)
+    if (type === 'result') { job.resolve(solutions.map(deserialize_solution)) }
+    else { job.reject(new Error(message)) }
+  })
+  port.on_error(error => {
+    pending.forEach(({ reject }) => reject(error))
+    pending.clear()
+  })
+
+  return {
+    generate(job, signal) {
+      if (typeof job.color.curve !== 'string' || !BUILTIN_CONTRAST_ALGORITHMS.has(job.algorithm)) {
+        return generate_colors_async(job, signal)
+      }
+      signal?.throwIfAborted()
+
+      const id = next_id++
+      const { color, bg_rgb_arr, base_v, ratio_values, algorithm, gamut } = job
+      return new Promise((resolve, reject) => {
+        const on_abort = () => {
+          pending.delete(id)
+          port.post({ type: 'cancel', id })
+          reject(signal.reason)
+        }
+        pending.set(id, {
+          resolve: solutions => {
+            signal?.removeEventListener('abort', on_abort)
+            resolve(solutions)
+          },
+          reject: reason => {
+            signal?.removeEventListener('abort', on_abort)
+            reject(reason)
+          },
+        })
+        signal?.addEventListener('abort', on_abort, { once: true })
+        port.post({ type: 'generate', id, color: color.to_object(), bg_rgb_arr, base_v, ratio_values, algorithm, gamut })
+      })
+    },
+    terminate() {
+      port.terminate()
+      pending.forEach(({ reject }) => reject(new Error(`palette worker terminated`)))
+      pending.clear()
+    },
+  }
+}
+
+/**
+ * generates swatches on the calling thread, after yielding to the event loop
+ *  (so that a newer request can abort this one first)
+ *
+ * @param {GenerateJob} job
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<import('../color/generate.js').SwatchSolution[]>}
+ */
+export async function generate_colors_async({ color, bg_rgb_arr, base_v, ratio_values, algorithm, gamut }, signal) {
+  await new Promise(resolve => setTimeout(resolve, 0))
+  signal?.throwIfAborted()
+  return generate_colors(color, bg_rgb_arr, base_v, ratio_values, algorithm, { gamut })
+}
+
+/**
+ * @param {import('../color/generate.js').SwatchSolution} solution
+ * @returns {SerializedSolution}
+ */
+export function serialize_solution({ color, position, contrast, reachable }) {
+  return { rgb: extended_rgb(color), alpha: color.alpha(), position, contrast, reachable }
+}
+
+/**
+ * @param {SerializedSolution} solution
+ * @returns {import('../color/generate.js').SwatchSolution}
+ */
+function deserialize_solution({ rgb, alpha, position, contrast, reachable }) {
+  // keep values outside of the srgb gamut, as generated
+  return { color: chroma.rgb(...rgb, alpha), position, contrast, reachable }
+}
+
+/**
+ * @typedef {{
+ *  post: (message: any) => void
+ *  on_message: (f: (message: any) => void) => void
+ *  on_error: (f: (error: any) => void) => void
+ *  terminate: () => void
+ * }} WorkerPort
+ */
+
+/**
+ * @param {Worker} worker
+ * @returns {WorkerPort}
+ */
+function web_port(worker) {
+  return {
+    post: message => worker.postMessage(message),
+    on_message: f => worker.addEventListener('message', e => f(e.data)),
+    on_error: f => worker.addEventListener('error', e => f(e.error ?? new Error(e.message))),
+    terminate: () => worker.terminate(),
+  }
+}
+
+/**
+ * @param {import('node:worker_threads').Worker} worker
+ * @returns {WorkerPort}
+ */
+function node_port(worker) {
+  return {
+    post: message => worker.postMessage(message),
+    on_message: f => worker.on('message', f),
+    on_error: f => {
+      worker.on('error', f)
+      worker.on('exit', code => f(new Error(`palette worker exited with code ${code}`)))
+    },
+    terminate: () => { worker.terminate() },
+  }
+}
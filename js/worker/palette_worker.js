@@ -0,0 +1,45 @@
+/**
+ * @overview entry point of palette workers (see `create_palette_worker`), in browsers and node alike.
+ *  generates one job at a time, yielding between jobs so that cancelled jobs are skipped
+ */
+
+import { Color } from '../color/color.js'
+import { generate_colors } from '../color/generate.js'
+import { serialize_solution } from './client.js'
+
+const port = typeof WorkerGlobalScope !== 'undefined'
+  ? self
+  : (await import('node:worker_threads')).parentPort
+
+/** @type {Map<number, any>} */
+const queue = new Map()
+let running = false
+
+port.addEventListener('message', (/** @type {MessageEvent} */ e) => {
+  const { type, id } = e.data
+  if (type === 'cancel') { queue.delete(id) }
+  if (type === 'generate') {
+    queue.set(id, e.data)
+    if (!running) { run() }
+  }
+})
+
+async function run() {
+  running = true
+  while (queue.size) {
+    // messages (such as cancellations) arrive in between jobs
+    await new Promise(resolve => setTimeout(resolve, 0))
+    const [job] = queue.values()
+    if (!job) { break }
+    queue.delete(job.id)
+
+    const { id, color, bg_rgb_arr, base_v, ratio_values, algorithm, gamut } = job
+    try {
+      const solutions = generate_colors(Color.from_object(color), bg_rgb_arr, base_v, ratio_values, algorithm, { gamut })
+      port.postMessage({ type: 'result', id, solutions: solutions.map(serialize_solution) })
+    } catch (error) {
+      port.postMessage({ type: 'error', id, message: error instanceof Error ? error.message : String(error) })
+    }
+  }
+  running = false
+}